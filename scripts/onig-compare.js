@@ -16,6 +16,8 @@ compare([
   [r`\18`, `\u{1}8`],
   [r`\177`, cp(0o177)],
   [r`\200`, cp(0o200)], // Error
+  [r`\342\202\254`, `\u{20AC}`],
+  [r`\xE2\202\xAC`, `\u{20AC}`],
   [r`\c`, `c`], // Error
   [r`[\c]`, `c`], // Error
   [r`\N`, `\n`],
@@ -30,8 +32,8 @@ compare([
   [r`[\O]`, `O`],
   [r`\o`, `o`],
   [r`[\o]`, `o`],
-  [r`\o{1}`, `\u{1}`, `Octal code points not yet supported`],
-  [r`[\o{1}]`, `\u{1}`, `Octal code points not yet supported`],
+  [r`\o{1}`, `\u{1}`],
+  [r`[\o{1}]`, `\u{1}`],
   [r`\p`, `p`],
   [r`[\p]`, `p`],
   [r`\p{`, `p{`], // Error
@@ -70,7 +72,8 @@ compare([
   [r`\x{00010FFFF}`, `\u{10FFFF}`], // 9 hex digits; error
   [r`\x{13FFFF}`, ``, `Beyond Unicode range: JS doesn't support`],
   [r`\x{140000}`, ``], // Error
-  [r`\x{0 1}`, `\u{0}\u{1}`, `Code point sequences not yet supported`],
+  [r`\x{0 1}`, `\u{0}\u{1}`],
+  [r`[\x{0-2 4}]`, `\u{1}`],
   [r`\💖`, '💖'],
   [`\\\u{10000}`, '\u{10000}'],
 ]);
@@ -12,9 +12,11 @@ function getArgs(actual, expected) {
     pattern: typeof expected === 'string' ? expected : expected.pattern,
     flags: expected.flags ?? '',
     accuracy: expected.accuracy ?? 'default',
+    caseFold: expected.caseFold ?? 'default',
     rules: expected.rules ?? {},
     strings: Array.isArray(actual) ? actual : [actual],
     targets: targeted,
+    unicodeData: expected.unicodeData ?? null,
   };
 }
 
@@ -25,9 +27,9 @@ function wasFullStrMatch(match, str) {
 // Expects `negate` to be set by `negativeCompare` and doesn't rely on Jasmine's automatic matcher
 // negation because when negated we don't want to early return `true` when looping over the array
 // of strings and one is found to not match; they all need to not match
-function matchWithAllTargets({pattern, flags, accuracy, rules, strings, targets}, {exact, negate}) {
+function matchWithAllTargets({pattern, flags, accuracy, caseFold, rules, strings, targets, unicodeData}, {exact, negate}) {
   for (const target of targets) {
-    const re = toRegExp(pattern, {accuracy, flags, rules, target});
+    const re = toRegExp(pattern, {accuracy, caseFold, flags, rules, target, unicodeData});
     for (const str of strings) {
       // In case the regex includes flag g or y
       re.lastIndex = 0;
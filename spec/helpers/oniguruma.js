@@ -0,0 +1,36 @@
+import {readFileSync} from 'node:fs';
+import {fileURLToPath} from 'node:url';
+// vscode-oniguruma 2.0.1 uses Oniguruma 6.9.8
+import oniguruma from 'vscode-oniguruma';
+
+let loading;
+
+/**
+Returns the first match found by Oniguruma, as an array of the match and its captures (with
+`undefined` for nonparticipating groups) plus `index`, or `null` if there's no match.
+@param {string} pattern
+@param {string} str
+@returns {Promise<Array<string | undefined> & {index: number} | null>}
+*/
+async function onigurumaExec(pattern, str) {
+  loading ??= oniguruma.loadWASM(readFileSync(fileURLToPath(
+    new URL('../../node_modules/vscode-oniguruma/release/onig.wasm', import.meta.url)
+  )).buffer);
+  await loading;
+  const re = new oniguruma.OnigScanner([pattern]);
+  const match = re.findNextMatchSync(str, 0);
+  re.dispose();
+  if (!match) {
+    return null;
+  }
+  // Nonparticipating groups have a start of `-1`, converted to an unsigned int
+  const result = match.captureIndices.map(({start, end}) => (
+    start === 0xFFFFFFFF ? undefined : str.slice(start, end)
+  ));
+  result.index = match.captureIndices[0].start;
+  return result;
+}
+
+export {
+  onigurumaExec,
+};
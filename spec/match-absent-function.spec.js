@@ -0,0 +1,160 @@
+import {toDetails} from '../dist/esm/index.mjs';
+import {r} from '../src/utils.js';
+import {matchers} from './helpers/matchers.js';
+
+beforeEach(() => {
+  jasmine.addMatchers(matchers);
+});
+
+describe('AbsentFunction', () => {
+  describe('repeater', () => {
+    it('should match any string that does not include the absent pattern', () => {
+      expect([
+        '', 'a', 'ab', 'bab', 'aab', 'b\nc',
+      ]).toExactlyMatch('(?~abc)');
+      expect([
+        'abc', 'xabc', 'abcx',
+      ]).not.toExactlyMatch('(?~abc)');
+    });
+
+    it('should stop before the first position where the absent pattern matches', () => {
+      expect('xabc').toExactlyMatch('(?~abc)abc');
+      expect('abc').not.toExactlyMatch('(?~abc)c');
+      expect('abc').toFindMatch('(?~abc)c');
+    });
+
+    it('should backtrack like a greedy quantifier', () => {
+      expect('/* a */').toExactlyMatch(r`/\*(?~\*/)\*/`);
+      expect('/* a */ b */').not.toExactlyMatch(r`/\*(?~\*/)\*/`);
+    });
+
+    it('should allow alternation and nested groups in the absent pattern', () => {
+      expect('xyz').toExactlyMatch('(?~a|b(?:c|d))');
+      expect(['xa', 'xbd']).not.toExactlyMatch('(?~a|b(?:c|d))');
+      expect('xbe').toExactlyMatch('(?~a|b(?:c|d))');
+    });
+
+    it('should match only the empty string with an empty absent pattern', () => {
+      expect('').toExactlyMatch('(?~)');
+      expect('a').not.toExactlyMatch('(?~)');
+    });
+
+    it('should apply flags to the absent pattern', () => {
+      expect('xAb').not.toExactlyMatch({pattern: '(?~ab)', flags: 'i'});
+      expect('xAb').toExactlyMatch('(?~ab)');
+    });
+
+    it('should allow quantifying', () => {
+      expect('bab').toExactlyMatch('(?~a)*.+');
+      expect('bb').toExactlyMatch('(?~a)+');
+    });
+
+    it('should be allowed within lookbehind', () => {
+      expect('bc').toFindMatch('(?<=(?~a))c');
+      expect('c').toExactlyMatch('(?<!(?~ab)x)c');
+    });
+
+    it('should throw for contents not allowed in lookbehind', () => {
+      expect(() => toDetails('(?<=(?~(?=a)))')).toThrow();
+      expect(() => toDetails('(?<!(?~(a)))')).toThrow();
+    });
+  });
+
+  describe('expression', () => {
+    it('should match the expression without consuming positions where the absent pattern matches', () => {
+      expect('12').toExactlyMatch(r`(?~|345|\d*)`);
+      expect('12345678').not.toExactlyMatch(r`(?~|345|\d*)`);
+      expect('12345678').toFindMatch(r`(?~|345|\d*)`);
+      expect('ab').toExactlyMatch('(?~|abc|a)b');
+      expect('abc').not.toFindMatch('(?~|abc|a)');
+    });
+
+    it('should check the absent pattern beyond the end of the expression', () => {
+      expect('4').toExactlyMatch(r`(?~|345|\d*)4`);
+      expect('12345').not.toFindMatch(r`^(?~|345|\d*)4`);
+    });
+
+    it('should use additional alternatives as alternatives of the expression', () => {
+      expect(['b', 'c']).toExactlyMatch('(?~|a|b|c)');
+      expect('xa').not.toExactlyMatch('(?~|a|x.|c)');
+    });
+
+    it('should never match with an empty absent pattern', () => {
+      expect(['', 'x']).not.toFindMatch('(?~||x)');
+    });
+
+    it('should allow quantifying', () => {
+      expect('bb').toExactlyMatch('(?~|a|b)+');
+      expect('ba').not.toExactlyMatch('(?~|a|.)+');
+    });
+
+    it('should throw for contents that would be copied or can\'t be limited', () => {
+      expect(() => toDetails('(?~|(a)|b)')).toThrow();
+      expect(() => toDetails(r`(a)(?~|b|\1)`)).toThrow();
+    });
+
+    it('should throw within lookbehind', () => {
+      expect(() => toDetails('(?<=(?~|a|b))')).toThrow();
+    });
+  });
+
+  describe('stopper', () => {
+    it('should limit the rest of the match to positions before where the absent pattern matches', () => {
+      expect('aa').toFindMatch('(?~|b).*');
+      expect('aab').not.toExactlyMatch('(?~|b).*');
+      expect('xaab').not.toExactlyMatch('x(?~|b)(?:a|b)+');
+    });
+
+    it('should limit lookahead but not other assertions', () => {
+      expect('ab').not.toFindMatch('(?~|b)a(?=b)');
+      expect('ab').toFindMatch('(?~|b)a(?!b)');
+      expect('ab').not.toFindMatch('(?~|b)a$');
+      expect('ab').not.toFindMatch(r`(?~|b)a\b`);
+    });
+
+    it('should apply to nodes that follow the group that contains it', () => {
+      expect('ab').not.toFindMatch('(?:(?~|b))ab');
+      expect('ab').not.toFindMatch('(?:(?:(?~|b)a))b');
+    });
+
+    it('should intersect with other stoppers', () => {
+      expect('xab').not.toFindMatch('(?~|a)(?~|b)x.');
+      expect('xab').toFindMatch('(?~|a)(?~|b)x');
+    });
+
+    it('should throw for uses where its range would be dynamic', () => {
+      expect(() => toDetails('(?:(?~|b)a|c).*')).toThrow();
+      expect(() => toDetails('(?:(?~|b)a)*')).toThrow();
+      expect(() => toDetails('(?=(?~|b))a')).toThrow();
+      expect(() => toDetails('(?~|b)+')).toThrow();
+    });
+
+    it('should throw for contents that would be copied or can\'t be limited', () => {
+      expect(() => toDetails('(?~|(a))b')).toThrow();
+      expect(() => toDetails(r`(a)(?~|b)\1`)).toThrow();
+    });
+
+    it('should throw within lookbehind', () => {
+      expect(() => toDetails('(?<=(?~|a))')).toThrow();
+    });
+  });
+
+  describe('clearer', () => {
+    it('should clear the range set by a stopper', () => {
+      expect('ab').toExactlyMatch('(?~|b)a(?~|)b');
+      expect('baa').toExactlyMatch('(?~|a)(?:b(?~|)a)a');
+    });
+
+    it('should have no effect without a stopper', () => {
+      expect('ab').toExactlyMatch('a(?~|)b');
+    });
+
+    it('should throw for uses where it would clear the range dynamically', () => {
+      expect(() => toDetails('(?~|b)a(?:x|(?~|))b')).toThrow();
+    });
+
+    it('should throw within lookbehind', () => {
+      expect(() => toDetails('(?<=(?~|))')).toThrow();
+    });
+  });
+});
@@ -1,4 +1,5 @@
 import {toDetails, toRegExp} from '../dist/esm/index.mjs';
+import {GraphemeClusterBreak} from '../dist/esm/unicode-grapheme-cluster-break.mjs';
 import {r} from '../src/utils.js';
 import {matchers} from './helpers/matchers.js';
 
@@ -141,6 +142,18 @@ describe('Assertion', () => {
           '日本語です', '0日本語',
         ]).not.toFindMatch(r`\b日本語\b`);
       });
+
+      it('should match only at ASCII word boundaries with flag P', () => {
+        expect('日本語').not.toFindMatch({pattern: r`\b日本語\b`, flags: 'P'});
+        expect('日本語').toFindMatch({pattern: r`\B日本語\B`, flags: 'P'});
+        expect('日本語').not.toFindMatch(r`(?P:\b)日本語`);
+      });
+
+      it('should match only at ASCII word boundaries with flag W', () => {
+        expect('日本語').not.toFindMatch({pattern: r`\b日本語\b`, flags: 'W'});
+        expect('日本語').not.toFindMatch(r`(?W:\b)日本語`);
+        expect('日本語').toFindMatch(r`(?W:\B)日本語\b`);
+      });
     });
 
     describe('negative', () => {
@@ -171,10 +184,78 @@ describe('Assertion', () => {
   });
 
   describe('grapheme_boundary', () => {
-    // Supportable with close approximation, but extremely rare and not many use cases
-    it('should throw as unsupported', () => {
-      expect(() => toDetails(r`\y`)).toThrow();
-      expect(() => toDetails(r`\Y`)).toThrow();
+    it('should match at grapheme boundaries', () => {
+      expect('').toExactlyMatch(r`\y`);
+      expect('ab').toExactlyMatch(r`\ya\yb\y`);
+      expect('\x65\u0301x').toExactlyMatch(r`\y\x65\u0301\yx\y`);
+      expect('\r\n').toExactlyMatch(r`\y\r\n\y`);
+      expect('\u{1F469}\u{1F3FF}').toExactlyMatch(r`\y\x{1F469}\x{1F3FF}\y`);
+    });
+
+    it('should not match within graphemes', () => {
+      expect('\x65\u0301').not.toFindMatch(r`\x65\y`);
+      expect('\r\n').not.toFindMatch(r`\r\y`);
+      expect('\u{1F469}\u200D\u{1F467}').not.toFindMatch(r`\u200D\y`);
+      expect('\u{1F1FA}\u{1F1F8}').not.toFindMatch(r`\x{1F1FA}\y`);
+    });
+
+    it('should match at grapheme non-boundaries with \Y', () => {
+      expect('\x65\u0301').toFindMatch(r`\x65\Y`);
+      expect('\r\n').toFindMatch(r`\r\Y`);
+      expect(['', 'a']).not.toFindMatch(r`\Y`);
+      expect('ab').not.toFindMatch(r`a\Y`);
+    });
+
+    it('should pair regional indicators from the start of the sequence', () => {
+      expect('\u{1F1FA}\u{1F1F8}\u{1F1EC}').toFindMatch(r`\x{1F1F8}\y\x{1F1EC}`);
+      expect('\u{1F1FA}\u{1F1F8}\u{1F1EC}').not.toFindMatch(r`\x{1F1FA}\y`);
+    });
+
+    it('should throw with strict accuracy', () => {
+      expect(() => toDetails(r`\y`, {accuracy: 'strict'})).toThrow();
+      expect(() => toDetails(r`\Y`, {accuracy: 'strict'})).toThrow();
+    });
+
+    describe('with grapheme cluster break data', () => {
+      const unicodeData = {graphemeClusterBreak: GraphemeClusterBreak};
+
+      it('should match at exact grapheme boundaries', () => {
+        expect('\u0915\u094D\u0937').not.toFindMatch({pattern: r`\u094D\y`, unicodeData});
+        expect('\u0915\u094D\u0937').toFindMatch({pattern: r`\u094D\Y`, unicodeData});
+        expect('\u11A8\u1100').toFindMatch({pattern: r`\u11A8\y`, unicodeData});
+        expect('\u1100\u1161').not.toFindMatch({pattern: r`\u1100\y`, unicodeData});
+        expect('\u{1F1FA}\u{1F1F8}\u{1F1EC}').toFindMatch({pattern: r`\x{1F1F8}\y\x{1F1EC}`, unicodeData});
+        expect('\u{1F1FA}\u{1F1F8}\u{1F1EC}').not.toFindMatch({pattern: r`\x{1F1FA}\y`, unicodeData});
+        expect(['', 'ab']).toExactlyMatch({pattern: r`\y(?:\X\y)*`, unicodeData});
+      });
+
+      it('should not throw with strict accuracy', () => {
+        expect(() => toDetails(r`\y\Y`, {accuracy: 'strict', unicodeData})).not.toThrow();
+      });
+    });
+  });
+
+  describe('word_segment_boundary', () => {
+    it('should match at word boundaries with text segment mode word', () => {
+      expect('ab cd').toExactlyMatch(r`(?y{w})\yab\y \ycd\y`);
+      expect('a, b').toExactlyMatch(r`(?y{w})a\y,\y \yb`);
+      expect('\u65E5\u672C').toExactlyMatch(r`(?y{w})\u65E5\y\u672C`);
+    });
+
+    it('should not match within words', () => {
+      expect([
+        'ab', 'a1', 'a_b', 'a.b', "a'b", '1,0', '\x65\u0301x', 'a\xADb',
+      ]).not.toFindMatch(r`(?y{w})\A.\y.`);
+      expect('a  b').not.toFindMatch(r`(?y{w}) \y `);
+    });
+
+    it('should match at word non-boundaries with \Y', () => {
+      expect('ab').toExactlyMatch(r`(?y{w})a\Yb`);
+      expect('a b').not.toFindMatch(r`(?y{w})a\Y`);
+    });
+
+    it('should throw with strict accuracy', () => {
+      expect(() => toDetails(r`(?y{w})\y`, {accuracy: 'strict'})).toThrow();
     });
   });
 });
@@ -1,4 +1,4 @@
-import {toDetails} from '../dist/esm/index.mjs';
+import {toDetails, toRegExp} from '../dist/esm/index.mjs';
 import {cp, r} from '../src/utils.js';
 import {maxTestTargetForFlagGroups, minTestTargetForFlagGroups} from './helpers/features.js';
 import {matchers} from './helpers/matchers.js';
@@ -90,14 +90,32 @@ describe('Backreference', () => {
 
       // For 1-9, else it becomes octal if not enough groups defined to the left, even if enough
       // groups defined to the right
-      it('should throw for forward references to defined groups', () => {
-        expect(() => toDetails(r`\1()`)).toThrow();
-        expect(() => toDetails(r`()\2()`)).toThrow();
-        expect(() => toDetails(r`(()\3)()`)).toThrow();
+      it('should not match forward references to defined groups', () => {
+        expect('').not.toFindMatch(r`\1()`);
+        expect('').not.toFindMatch(r`()\2()`);
+        expect('').not.toFindMatch(r`(()\3)()`);
+        expect('ba').toExactlyMatch(r`(?:\1|b)(a)`);
+        expect('ab').toExactlyMatch(r`(?:\2)*(a)(b)`);
       });
 
-      it('should throw for forward references to defined groups even when subroutines add captures', () => {
-        expect(() => toDetails(r`\g<1>\1()`)).toThrow();
+      it('should match forward references to defined groups when subroutines add captures', () => {
+        expect('aaa').toExactlyMatch(r`\g<1>\1(a)`);
+        expect('aba').not.toFindMatch(r`\g<1>\1(\w)`);
+      });
+
+      it('should match forward references to captures from a prior iteration', () => {
+        expect('aab').toExactlyMatch(r`(?:\1b|(a))+`);
+        expect('ab').not.toExactlyMatch(r`(?:\1b|(a))+`);
+        expect('abab').toExactlyMatch(r`(?:\2|(a)(b))+`);
+        expect('ababb').toExactlyMatch(r`(?:(a)\2?(b))+`);
+        expect('aa').toExactlyMatch(r`(?:\1|(a)){2}`);
+        expect('xaabx').toExactlyMatch(r`(?:x|\1b|(a))*`);
+      });
+
+      it('should throw for forward references to captures from a prior iteration if unsupported', () => {
+        expect(() => toDetails(r`(?:\1b|(\w))+`)).toThrow();
+        expect(() => toDetails(r`(?:x|\1b|(a))+`)).toThrow();
+        expect(() => toDetails(r`(?:\1b|(a))+`, {accuracy: 'strict'})).toThrow();
       });
     });
   });
@@ -177,14 +195,18 @@ describe('Backreference', () => {
         expect('').not.toFindMatch(r`(a)|\k<1>`);
       });
 
-      it('should throw for forward references to defined groups', () => {
-        expect(() => toDetails(r`\k<1>()`)).toThrow();
-        expect(() => toDetails(r`()\k<2>()`)).toThrow();
-        expect(() => toDetails(r`(()\k<3>)()`)).toThrow();
+      it('should not match forward references to defined groups', () => {
+        expect('').not.toFindMatch(r`\k<1>()`);
+        expect('').not.toFindMatch(r`()\k<2>()`);
+        expect('').not.toFindMatch(r`(()\k<3>)()`);
       });
 
-      it('should throw for forward references to defined groups even when subroutines add captures', () => {
-        expect(() => toDetails(r`\g<1>\k<1>()`)).toThrow();
+      it('should match forward references to defined groups when subroutines add captures', () => {
+        expect('aaa').toExactlyMatch(r`\g<1>\k<1>(a)`);
+      });
+
+      it('should match forward references to captures from a prior iteration', () => {
+        expect('aab').toExactlyMatch(r`(?:\k<1>b|(a))+`);
       });
     });
   });
@@ -277,10 +299,15 @@ describe('Backreference', () => {
         expect('').not.toFindMatch(r`(a)|\k<-1>`);
       });
 
-      it('should throw for forward references to defined groups', () => {
-        expect(() => toDetails(r`\k<+1>()`)).toThrow();
-        expect(() => toDetails(r`\k'+1'()`)).toThrow();
-        expect(() => toDetails(r`()\k<+1>()`)).toThrow();
+      it('should not match forward references to defined groups', () => {
+        expect('').not.toFindMatch(r`\k<+1>()`);
+        expect('').not.toFindMatch(r`\k'+1'()`);
+        expect('').not.toFindMatch(r`()\k<+1>()`);
+        expect('ba').toExactlyMatch(r`(?:\k<+1>|b)(a)`);
+      });
+
+      it('should match forward references to captures from a prior iteration', () => {
+        expect('aab').toExactlyMatch(r`(?:\k<+1>b|(a))+`);
       });
     });
   });
@@ -399,6 +426,50 @@ describe('Backreference', () => {
     });
   });
 
+  describe('with recursion level', () => {
+    it('should rematch the captured text at the same level', () => {
+      expect('aa').toExactlyMatch(r`(?<n>a)\k<n+0>`);
+      expect('aa').toExactlyMatch(r`(?<n>a)\k'n+0'`);
+      expect('aa').toExactlyMatch(r`(a)\k<1+0>`);
+      expect('aa').toExactlyMatch(r`(a)\k<-1+0>`);
+      expect('ab').not.toFindMatch(r`(?<n>.)\k<n+0>`);
+    });
+
+    it('should not match if there are no captures at the level', () => {
+      expect('aa').not.toFindMatch(r`(?<n>a)\k<n+1>`);
+      expect('aa').not.toFindMatch(r`(?<n>a)\k<n-1>`);
+    });
+
+    it('should count groups referenced by subroutines as a level', () => {
+      expect('abb').toExactlyMatch(r`(?<n>\w)\g<n>\k<n+1>`);
+      expect('aba').not.toFindMatch(r`(?<n>\w)\g<n>\k<n+1>`);
+      expect(['abb', 'aba']).not.toFindMatch(r`(?<n>\w)\g<n>\k<n+0>`);
+    });
+
+    it('should rematch captures at the same recursion depth', () => {
+      const palindrome = r`\A(?<a>|.|(?:(?<b>.)\g<a>\k<b+0>))\z`;
+      expect(['', 'a', 'aa', 'aba', 'abba', 'abcba']).toExactlyMatch(palindrome);
+      expect(['ab', 'abca', 'abbb']).not.toFindMatch(palindrome);
+      const tags = r`(?<e><(?<t>\w+)>(?:[^<]|\g<e>)*</\k<t+0>>)`;
+      expect(['<a>x</a>', '<a><b>x</b></a>']).toExactlyMatch(tags);
+      expect('<a><b>x</a></b>').not.toFindMatch(tags);
+    });
+
+    it('should rematch captures at the first recursion depth from outside the recursion', () => {
+      expect(toRegExp(r`(?<a>(?<b>\w)\g<a>?)\k<b+1>`).exec('abab')[0]).toBe('aba');
+    });
+
+    it('should throw for levels that would refer to captures at other recursion depths', () => {
+      expect(() => toDetails(r`(?<a>(?<b>\w)\g<a>?\k<b-1>)`)).toThrow();
+      expect(() => toDetails(r`(?<b>\w)(?<a>-\g<a>?\k<b-1>)`)).toThrow();
+      expect(() => toDetails(r`(?<a>(?<b>\w)\g<a>?)\k<b+2>`)).toThrow();
+    });
+
+    it('should throw for duplicate names at the same level', () => {
+      expect(() => toDetails(r`(?<n>a)(?<n>b)\k<n+0>`)).toThrow();
+    });
+  });
+
   describe('case sensitivity', () => {
     it('should match case-insensitive backref to case-sensitive group', () => {
       // Real support with `target` ES2025
@@ -0,0 +1,224 @@
+import {toDetails, toRegExp} from '../dist/esm/index.mjs';
+import {r} from '../src/utils.js';
+import {matchers} from './helpers/matchers.js';
+
+beforeEach(() => {
+  jasmine.addMatchers(matchers);
+});
+
+describe('Callout', () => {
+  describe('FAIL', () => {
+    it('should never match', () => {
+      expect(['', 'a']).not.toFindMatch('(*FAIL)');
+      expect('a').not.toFindMatch('a(*FAIL)');
+    });
+
+    it('should backtrack into prior alternatives', () => {
+      expect('ab').toExactlyMatch('a(*FAIL)|ab');
+      expect('ab').toExactlyMatch('(?:a(*FAIL)|ab)');
+      expect('aab').toExactlyMatch('a+(*FAIL)|a+b');
+    });
+
+    it('should allow a tag and empty args', () => {
+      expect('ab').toExactlyMatch('a(*FAIL[T])|ab');
+      expect('ab').toExactlyMatch('a(*FAIL{})|ab');
+      expect('ab').toExactlyMatch('a(*FAIL[T]{})|ab');
+    });
+
+    it('should be allowed within lookbehind', () => {
+      expect('b').toExactlyMatch('(?<!a(*FAIL))b');
+    });
+
+    it('should throw if given args', () => {
+      expect(() => toDetails('(*FAIL{1})')).toThrow();
+    });
+  });
+
+  describe('MISMATCH', () => {
+    it('should fail the match attempt without trying other alternatives', () => {
+      expect('ab').not.toFindMatch('a(*MISMATCH)|ab');
+      expect('ab').toFindMatch('a(*MISMATCH)|b');
+      expect(toRegExp('a(*MISMATCH)|.').exec('ab').index).toBe(1);
+    });
+
+    it('should continue searching at the next position', () => {
+      const re = toRegExp(r`ab(*MISMATCH)|\w`, {global: true});
+      expect(re.exec('abc').index).toBe(1);
+      expect('abcab'.match(re)).toEqual(['b', 'c', 'b']);
+    });
+
+    it('should throw if not at the end of the first top-level alternative', () => {
+      expect(() => toDetails('a(*MISMATCH)b|c')).toThrow();
+      expect(() => toDetails('a|b(*MISMATCH)')).toThrow();
+      expect(() => toDetails('(?:a(*MISMATCH)|b)')).toThrow();
+    });
+  });
+
+  describe('SKIP', () => {
+    it('should skip past the first alternative with (*SKIP)(*FAIL)', () => {
+      expect('"a b" c'.match(toRegExp(r`"[^"]*"(*SKIP)(*FAIL)|\w+`, {global: true}))).toEqual(['c']);
+      expect('"a b" c'.replace(toRegExp(r`"[^"]*"(*SKIP)(*FAIL)|\w+`, {global: true}), '_')).toBe('"a b" _');
+      expect(toRegExp('aa(*SKIP)(*FAIL)|a').exec('aaab').index).toBe(2);
+    });
+
+    it('should continue at the next position if the skipped match is empty', () => {
+      expect(toRegExp('x?(*SKIP)(*FAIL)|a').exec('a')).toBeNull();
+      expect(toRegExp('b?(*SKIP)(*FAIL)|a').exec('ba')).toBeNull();
+    });
+
+    it('should throw if not at the end of the first top-level alternative', () => {
+      expect(() => toDetails('a(*SKIP)')).toThrow();
+      expect(() => toDetails('a(*SKIP)(*FAIL)b|c')).toThrow();
+      expect(() => toDetails('a|b(*SKIP)(*FAIL)')).toThrow();
+    });
+  });
+
+  describe('user-defined', () => {
+    function getLogger() {
+      const calls = [];
+      return {
+        calls,
+        callouts: {
+          contents: ctx => {calls.push(ctx)},
+          log: ctx => {calls.push(ctx)},
+          notAtStart: ctx => ctx.start !== 0,
+        },
+      };
+    }
+
+    it('should call the function with the callout name at the callout point', () => {
+      const {calls, callouts} = getLogger();
+      const match = toRegExp('a(*log)b', {callouts}).exec('xab');
+      expect(match.index).toBe(1);
+      expect(match[0]).toBe('ab');
+      expect(calls.length).toBe(1);
+      expect(calls[0]).toEqual(jasmine.objectContaining({name: 'log', input: 'xab', start: 1, current: 2}));
+      expect(calls[0].match[0]).toBe('a');
+    });
+
+    it('should pass the tag, args, and captures so far', () => {
+      const {calls, callouts} = getLogger();
+      const match = toRegExp(r`(a)(*log[T]{1,x})(b)\1`, {callouts}).exec('aba');
+      expect([...match]).toEqual(['aba', 'a', 'b']);
+      expect(calls[0]).toEqual(jasmine.objectContaining({tag: 'T', args: ['1', 'x']}));
+      expect([...calls[0].match]).toEqual(['a', 'a']);
+    });
+
+    it('should call function contents for contents callouts', () => {
+      const {calls, callouts} = getLogger();
+      expect(toRegExp('(?{one}[T])a(?{{}two}})', {callouts}).exec('a')[0]).toBe('a');
+      expect(calls.map(ctx => [ctx.contents, ctx.tag, ctx.current])).toEqual([['one', 'T', 0], ['}two', undefined, 1]]);
+    });
+
+    it('should ignore contents callouts without function contents', () => {
+      expect('ab').toExactlyMatch('a(?{x})b');
+      expect(toDetails('a(?{x})b').options).toBeUndefined();
+    });
+
+    it('should fail the match attempt if the function returns false', () => {
+      const {callouts} = getLogger();
+      expect(toRegExp('a(*notAtStart)b', {callouts}).exec('abab').index).toBe(2);
+      expect('abab'.match(toRegExp('a(*notAtStart)b', {callouts, global: true}))).toEqual(['ab']);
+      expect(toRegExp('a(*notAtStart)', {callouts}).exec('a')).toBeNull();
+    });
+
+    it('should be called at each match attempt with global search', () => {
+      const {calls, callouts} = getLogger();
+      expect('xaa'.replace(toRegExp('(*log)a', {callouts, global: true}), '-')).toBe('x--');
+      expect(calls.map(ctx => ctx.start)).toEqual([0, 1, 2, 3]);
+    });
+
+    it('should support callouts within noncapturing groups and after flag modifiers', () => {
+      const {calls, callouts} = getLogger();
+      expect(toRegExp('(?i)a(*log)b', {callouts}).exec('xAB')[0]).toBe('AB');
+      expect(toRegExp('a(?:b(*log)c)d', {callouts}).exec('abcd')[0]).toBe('abcd');
+      expect(toRegExp('(?i:a(*log))b', {callouts}).exec('Ab')[0]).toBe('Ab');
+      expect(calls.map(ctx => ctx.current)).toEqual([2, 2, 1]);
+    });
+
+    it('should throw with strict accuracy if following a backtracking choice', () => {
+      const {callouts} = getLogger();
+      const opts = {accuracy: 'strict', callouts};
+      [ '(a|ab)(*log)c',
+        'a+(*log)',
+        'a*?(*log)',
+        '(?:a(?:b|c))(*log)',
+        '(a)\\g<1>(*log)',
+      ].forEach(pattern => {
+        expect(() => toDetails(pattern, opts)).toThrow();
+      });
+      [ 'a(*log)b+',
+        '(?>a|ab)(*log)c',
+        'a++(*log)',
+        'a{2}(*log)',
+        '(?=a|b)(*log)',
+      ].forEach(pattern => {
+        expect(() => toDetails(pattern, opts)).not.toThrow();
+      });
+    });
+
+    it('should throw for undefined names', () => {
+      expect(() => toDetails('(*log)')).toThrow();
+      expect(() => toDetails('(*toString)', {callouts: {}})).toThrow();
+    });
+
+    it('should throw if not at the top level of a pattern without top-level alternation or in a nonquantified noncapturing group', () => {
+      const {callouts} = getLogger();
+      expect(() => toDetails('(?:a(*log))+', {callouts})).toThrow();
+      expect(() => toDetails('(a(*log))', {callouts})).toThrow();
+      expect(() => toDetails('(?>a(*log))', {callouts})).toThrow();
+      expect(() => toDetails('(?:a(*log)|b)', {callouts})).toThrow();
+      expect(() => toDetails('a(*log)|b', {callouts})).toThrow();
+      expect(() => toDetails('(?=a(?{x}))', {callouts})).toThrow();
+    });
+
+    it('should throw for directions other than progress', () => {
+      const {callouts} = getLogger();
+      expect(() => toDetails('a(?{x}>)', {callouts})).not.toThrow();
+      expect(() => toDetails('a(?{x}<)', {callouts})).toThrow();
+      expect(() => toDetails('a(?{x}X)', {callouts})).toThrow();
+    });
+
+    it('should throw with option avoidSubclass', () => {
+      const {callouts} = getLogger();
+      expect(() => toDetails('a(*log)', {callouts, avoidSubclass: true})).toThrow();
+    });
+  });
+
+  it('should throw for unsupported built-in callouts', () => {
+    [ '(*MAX{2})',
+      '(*COUNT)',
+      '(*TOTAL_COUNT)',
+      '(*CMP{1,<,2})',
+      '(*ERROR{1})',
+    ].forEach(p => {
+      const name = /^\(\*(?<name>[A-Z_]+)/.exec(p).groups.name;
+      expect(() => toDetails(p)).toThrowError(`Unsupported callout "(*${name})"; relies on regex engine backtracking details`);
+    });
+  });
+
+  it('should throw for invalid callouts', () => {
+    [ '(*)',
+      '(*FAIL',
+      '(*fail)',
+      '(*UNKNOWN)',
+      '(*FAIL[1])',
+      '(*FAIL{}[T])',
+      '(?{x',
+      '(?{{x})',
+      '(?{x}[1])',
+      '(?{x}Z)',
+      '(?{x}X[T])',
+    ].forEach(p => {
+      expect(() => toDetails(p)).toThrow();
+    });
+  });
+
+  it('should throw if quantified', () => {
+    expect(() => toDetails('a(*FAIL)+')).toThrow();
+  });
+
+  it('should not be a callout within a character class', () => {
+    expect('*').toExactlyMatch('[(*FAIL)]');
+  });
+});
@@ -1,9 +1,35 @@
-import {toDetails} from '../dist/esm/index.mjs';
+import {toDetails, toRegExp} from '../dist/esm/index.mjs';
+import {r} from '../src/utils.js';
 
 describe('CharacterClass', () => {
   // See also `match-char-class-range.spec.js` and `match-char-class-intersection.spec.js`
   // Tests for specific tokens within char classes are mixed into specs elsewhere
 
+  describe('case folding', () => {
+    it('should match multichar case folds of included chars after single chars', () => {
+      expect(toRegExp('[ß]', {flags: 'i'}).exec('ss')[0]).toBe('ss');
+      expect(toRegExp('[ß]x', {flags: 'i'}).exec('ssx')[0]).toBe('ssx');
+      expect(toRegExp(r`[\x{DF}-\x{E0}]`, {flags: 'i'}).exec('SS')[0]).toBe('SS');
+      expect(toRegExp('[a-zß]', {flags: 'i'}).exec('ss')[0]).toBe('s');
+      expect(toRegExp('[a-zß]$', {flags: 'i'}).exec('ss')[0]).toBe('ss');
+      expect(toRegExp('[ﬀﬃ]', {flags: 'i'}).exec('ffi')[0]).toBe('ff');
+      expect(toRegExp('[ﬅ]', {flags: 'i'}).exec('ﬆ')[0]).toBe('ﬆ');
+    });
+
+    it('should not match multichar case folds with negated classes', () => {
+      expect(toRegExp('[^ß]', {flags: 'i'}).exec('ss')[0]).toBe('s');
+      expect(toRegExp('[^a]', {flags: 'i'}).exec('ß')[0]).toBe('ß');
+    });
+
+    it('should throw for multichar case folds in nested negated classes or intersection with strict accuracy', () => {
+      expect(() => toDetails('[a[^ß]]', {flags: 'i', accuracy: 'strict', target: 'ES2024'})).toThrow();
+      expect(() => toDetails(r`[ßa&&\w]`, {flags: 'i', accuracy: 'strict', target: 'ES2024'})).toThrow();
+      expect(() => toDetails('[a[^ß]]', {flags: 'i', target: 'ES2024'})).not.toThrow();
+      expect(() => toDetails('[^ß]', {flags: 'i', accuracy: 'strict'})).not.toThrow();
+      expect(() => toDetails('[ßa]', {flags: 'i', accuracy: 'strict'})).not.toThrow();
+    });
+  });
+
   describe('nested class unwrapping', () => {
     it('should unwrap unneeded nested classes', () => {
       expect(toDetails('[[ab]]').pattern).toBe('[ab]');
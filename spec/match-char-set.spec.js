@@ -1,4 +1,5 @@
-import {toDetails, toRegExp} from '../dist/esm/index.mjs';
+import {toDetails, toOnigurumaAst} from '../dist/esm/index.mjs';
+import {UnicodeBlocks} from '../dist/esm/unicode-blocks.mjs';
 import {r} from '../src/utils.js';
 import {maxTestTargetForFlagGroups} from './helpers/features.js';
 import {matchers} from './helpers/matchers.js';
@@ -28,12 +29,26 @@ describe('CharacterSet', () => {
     });
   });
 
-  // TODO: Add me
-  // describe('digit', () => {
-  //   it('should', () => {
-  //     expect('').toExactlyMatch(r``);
-  //   });
-  // });
+  describe('digit', () => {
+    it('should match Unicode decimal digits by default', () => {
+      expect(['0', '\u{660}']).toExactlyMatch(r`\d`);
+      expect('\u{660}').toExactlyMatch(r`\p{Digit}`);
+    });
+
+    it('should match only ASCII digits with flag D', () => {
+      expect('0').toExactlyMatch({pattern: r`\d`, flags: 'D'});
+      expect('\u{660}').not.toExactlyMatch({pattern: r`\d`, flags: 'D'});
+      expect('\u{660}').not.toExactlyMatch({pattern: '[[:digit:]]', flags: 'D'});
+      expect('\u{660}').toExactlyMatch({pattern: r`\D`, flags: 'D'});
+    });
+
+    it('should apply flag D from modifiers to the current scope', () => {
+      expect('\u{660}').not.toExactlyMatch(r`(?D)\d`);
+      expect('0\u{660}').toExactlyMatch(r`(?D:\d)\d`);
+      expect('\u{660}0').not.toExactlyMatch(r`(?D:\d)\d`);
+      expect('\u{660}').toExactlyMatch({pattern: r`(?-D)\d`, flags: 'D'});
+    });
+  });
 
   describe('dot', () => {
     it('should match any character except line feed', () => {
@@ -78,12 +93,51 @@ describe('CharacterSet', () => {
     });
   });
 
-  // TODO: Add me
-  // describe('posix', () => {
-  //   it('should', () => {
-  //     expect('').toExactlyMatch(r``);
-  //   });
-  // });
+  describe('posix', () => {
+    it('should match Unicode chars by default', () => {
+      expect(['a', '\xE9']).toExactlyMatch('[[:alpha:]]');
+      expect(['a', '\xE9']).toExactlyMatch(r`\p{Alpha}`);
+      expect('\u{A0}').toExactlyMatch('[[:blank:]]');
+    });
+
+    it('should match only ASCII chars with flag P', () => {
+      expect('a').toExactlyMatch({pattern: '[[:alpha:]]', flags: 'P'});
+      expect('\xE9').not.toExactlyMatch({pattern: '[[:alpha:]]', flags: 'P'});
+      expect('a').toExactlyMatch({pattern: r`\p{Alpha}`, flags: 'P'});
+      expect('\xE9').not.toExactlyMatch({pattern: r`\p{Alpha}`, flags: 'P'});
+      expect('\xE9').toExactlyMatch({pattern: r`\P{Alpha}`, flags: 'P'});
+      expect(['0', 'F', 'f']).toExactlyMatch({pattern: '[[:xdigit:]]', flags: 'P'});
+      expect(['!', '$', '~']).toExactlyMatch({pattern: '[[:punct:]]', flags: 'P'});
+      expect('\xA1').not.toExactlyMatch({pattern: '[[:punct:]]', flags: 'P'});
+      expect(['\t', ' ']).toExactlyMatch({pattern: '[[:blank:]]', flags: 'P'});
+      expect('\u{A0}').not.toExactlyMatch({pattern: '[[:blank:]]', flags: 'P'});
+      expect(['!', '~']).toExactlyMatch({pattern: '[[:graph:]]', flags: 'P'});
+      expect('\xA1').not.toExactlyMatch({pattern: '[[:graph:]]', flags: 'P'});
+    });
+
+    it('should make digit, space, and word sets ASCII with flag P', () => {
+      expect('\u{660}').not.toExactlyMatch({pattern: r`\d`, flags: 'P'});
+      expect('\u{A0}').not.toExactlyMatch({pattern: r`\s`, flags: 'P'});
+      expect('\xE9').not.toExactlyMatch({pattern: r`\w`, flags: 'P'});
+      expect('\xE9').not.toExactlyMatch({pattern: '[[:word:]]', flags: 'P'});
+    });
+
+    it('should not change other Unicode properties with flag P', () => {
+      expect('\xE9').toExactlyMatch({pattern: r`\p{L}`, flags: 'P'});
+    });
+
+    it('should apply flag P from modifiers to the current scope', () => {
+      expect('\xE9').not.toExactlyMatch('(?P)[[:alpha:]]');
+      expect('\xE9').not.toExactlyMatch('(?P:[[:alpha:]])');
+      expect('a\xE9').toExactlyMatch('(?P:[[:alpha:]])[[:alpha:]]');
+      expect('\xE9a').not.toExactlyMatch('(?P:[[:alpha:]])[[:alpha:]]');
+      expect('\xE9').toExactlyMatch('(?P)(?-P)[[:alpha:]]');
+      expect('\xE9').toExactlyMatch({pattern: '(?-P:[[:alpha:]])', flags: 'P'});
+      // Flag directives continue into subsequent alternatives
+      expect('\xE9').not.toExactlyMatch(r`(?P)a|\w`);
+      expect('\xE9').toExactlyMatch(r`(?:(?P)a|\w)|\w`);
+    });
+  });
 
   describe('property', () => {
     it(r`should be identity escape for incomplete \p \P`, () => {
@@ -187,7 +241,7 @@ describe('CharacterSet', () => {
       expect(toDetails(r`\p{asciihexdigit}`).pattern).toBe(r`\p{ASCII_Hex_Digit}`);
     });
 
-    it(r`should use best effort to allow insignificant spaces, hyphens, underscores, and casing for scripts`, () => {
+    it(r`should allow insignificant spaces, hyphens, underscores, and casing for scripts`, () => {
       [ 'Egyptian_Hieroglyphs',
         'EgyptianHieroglyphs',
         'egyptian-hieroglyphs',
@@ -200,24 +254,146 @@ describe('CharacterSet', () => {
       expect(toDetails(r`\p{Phags-pa}`).pattern).toBe(r`\p{sc=Phags_Pa}`);
     });
 
-    // Documenting current behavior
-    it(r`should handle unknown properties as scripts`, () => {
-      expect(toDetails(r`\p{FakeProperty}`).pattern).toBe(r`\p{sc=Fake_Property}`);
-      expect(() => toRegExp(r`\p{FakeProperty}`)).toThrow();
+    describe('blocks', () => {
+      const unicodeData = {blocks: UnicodeBlocks};
+
+      it('should match code points in the block', () => {
+        expect(['a', '\0', '\x7F']).toExactlyMatch({pattern: r`\p{In_Basic_Latin}`, unicodeData});
+        expect(['é', '\x80']).not.toFindMatch({pattern: r`\p{In_Basic_Latin}`, unicodeData});
+        expect('一').toExactlyMatch({pattern: r`\p{In_CJK_Unified_Ideographs}`, unicodeData});
+        expect('\u{1F600}').toExactlyMatch({pattern: r`\p{In_Emoticons}`, unicodeData});
+      });
+
+      it('should allow insignificant spaces, hyphens, underscores, and casing', () => {
+        [ 'InBasicLatin',
+          'inbasiclatin',
+          ' In-Basic Latin ',
+        ].forEach(name => {
+          expect('a').toExactlyMatch({pattern: r`\p{${name}}`, unicodeData});
+        });
+      });
+
+      it('should allow negating', () => {
+        expect('é').toExactlyMatch({pattern: r`\P{In_Basic_Latin}`, unicodeData});
+        expect('é').toExactlyMatch({pattern: r`\p{^In_Basic_Latin}`, unicodeData});
+        expect('a').not.toFindMatch({pattern: r`\P{In_Basic_Latin}`, unicodeData});
+        expect('\u{10000}').toExactlyMatch({pattern: r`\P{In_Basic_Latin}`, unicodeData});
+      });
+
+      it('should be usable within classes', () => {
+        expect(['a', 'é']).toExactlyMatch({pattern: r`[\p{In_Basic_Latin}é]`, unicodeData});
+        expect(['a', 'é']).not.toFindMatch({pattern: r`[^\p{In_Basic_Latin}é]`, unicodeData});
+        expect('ü').toExactlyMatch({pattern: r`[^\p{In_Basic_Latin}é]`, unicodeData});
+        expect('b').toExactlyMatch({pattern: r`[\P{In_Basic_Latin}b]`, unicodeData});
+        expect('a').not.toFindMatch({pattern: r`[\P{In_Basic_Latin}b]`, unicodeData});
+      });
+
+      it('should not apply case folding with flag i, except within classes', () => {
+        const opts = {unicodeData, maxTestTarget: maxTestTargetForFlagGroups};
+        expect(['a', 'A']).toExactlyMatch({pattern: r`(?i)\p{In_Basic_Latin}`, ...opts});
+        expect(['\u212A', '\u017F']).not.toFindMatch({pattern: r`(?i)\p{In_Basic_Latin}`, ...opts});
+        expect(['\u212A', '\u017F']).not.toFindMatch({pattern: r`\p{In_Basic_Latin}`, flags: 'i', ...opts});
+        expect('\u017F').toExactlyMatch({pattern: r`(?i)\P{In_Basic_Latin}`, ...opts});
+        expect('\u017F').toExactlyMatch({pattern: r`(?i)[\p{In_Basic_Latin}]`, ...opts});
+      });
+
+      it('should support In_No_Block for code points not in a block', () => {
+        expect(['⿠', '\u{10200}']).toExactlyMatch({pattern: r`\p{In_No_Block}`, unicodeData});
+        expect(['a', '一']).not.toFindMatch({pattern: r`\p{In_No_Block}`, unicodeData});
+      });
+
+      it('should not treat scripts that start with "In" as blocks', () => {
+        expect(toDetails(r`\p{Inherited}`).pattern).toBe(r`\p{sc=Inherited}`);
+        expect(toDetails(r`\p{Inscriptional_Pahlavi}`, {unicodeData}).pattern).toBe(r`\p{sc=Inscriptional_Pahlavi}`);
+      });
+
+      it('should throw for invalid block names', () => {
+        expect(() => toDetails(r`\p{In_Basic_Latn}`, {unicodeData})).toThrow();
+      });
+
+      it('should suggest the nearest valid block name for invalid block names', () => {
+        expect(() => toDetails(r`\p{In_Basic_Latn}`, {unicodeData})).toThrowError(/did you mean "In_Basic_Latin"/);
+        expect(() => toDetails(r`\p{In_Qwertyuiop}`, {unicodeData})).toThrowError(/^(?!.*did you mean)/);
+      });
+
+      it('should treat names that start with "In" as blocks if they share a name with a script or property', () => {
+        expect('\u0628').toExactlyMatch({pattern: r`\p{In_Arabic}`, unicodeData});
+        expect('\u0750').not.toFindMatch({pattern: r`\p{In_Arabic}`, unicodeData});
+        expect(() => toDetails(r`\p{In_Currency_Symbols}`, {unicodeData})).not.toThrow();
+        expect(() => toDetails(r`\p{In_Variation_Selectors}`, {unicodeData})).not.toThrow();
+      });
+
+      it('should throw for likely typos of scripts that start with "In"', () => {
+        expect(() => toDetails(r`\p{Inheritd}`)).toThrowError(/did you mean "Inherited"/);
+        expect(() => toDetails(r`\p{Inheritd}`, {unicodeData})).toThrowError(/did you mean "Inherited"/);
+        expect(() => toOnigurumaAst(r`\p{Inheritd}`)).toThrowError(/did you mean "Inherited"/);
+      });
+
+      it('should throw without block data', () => {
+        expect(() => toDetails(r`\p{In_Basic_Latin}`)).toThrow();
+      });
+    });
+
+    it(r`should map scripts and script aliases to JS script names`, () => {
+      expect(toDetails(r`\p{Hiragana}`).pattern).toBe(r`\p{sc=Hiragana}`);
+      expect(toDetails(r`\p{hira}`).pattern).toBe(r`\p{sc=Hira}`);
+      expect(toDetails(r`\p{Inherited}`).pattern).toBe(r`\p{sc=Inherited}`);
+      expect(toDetails(r`\p{zyyy}`).pattern).toBe(r`\p{sc=Zyyy}`);
+      expect(['a', 'ā']).toExactlyMatch(r`\p{latin}`);
+      expect('a').not.toFindMatch(r`\P{Latn}`);
+    });
+
+    it(r`should throw for unknown properties`, () => {
+      expect(() => toDetails(r`\p{FakeProperty}`)).toThrow();
+      expect(() => toDetails(r`\p{Script_Extensions}`)).toThrow();
+      expect(() => toOnigurumaAst(r`\p{FakeProperty}`)).toThrow();
+    });
+
+    it(r`should suggest the nearest valid name for unknown properties`, () => {
+      expect(() => toDetails(r`\p{Hiragna}`)).toThrowError(/did you mean "Hiragana"/);
+      expect(() => toDetails(r`\p{Lowercase_Leter}`)).toThrowError(/did you mean "Lowercase_Letter"/);
+      expect(() => toDetails(r`\p{Qwertyuiop}`)).toThrowError(/^(?!.*did you mean)/);
     });
   });
 
-  // TODO: Add me
-  // describe('space', () => {
-  //   it('should', () => {
-  //     expect('').toExactlyMatch(r``);
-  //   });
-  // });
+  describe('space', () => {
+    it('should match Unicode whitespace by default', () => {
+      expect([' ', '\u{A0}', '\u{85}']).toExactlyMatch(r`\s`);
+    });
 
-  // TODO: Add me
-  // describe('word', () => {
-  //   it('should', () => {
-  //     expect('').toExactlyMatch(r``);
-  //   });
-  // });
+    it('should match only ASCII whitespace with flag S', () => {
+      expect([' ', '\t']).toExactlyMatch({pattern: r`\s`, flags: 'S'});
+      expect('\u{A0}').not.toExactlyMatch({pattern: r`\s`, flags: 'S'});
+      expect('\u{A0}').not.toExactlyMatch({pattern: r`\p{Space}`, flags: 'S'});
+      expect('\u{A0}').toExactlyMatch({pattern: r`\S`, flags: 'S'});
+    });
+
+    it('should apply flag S from modifiers to the current scope', () => {
+      expect('\u{A0}').not.toExactlyMatch(r`(?S)\s`);
+      expect(' \u{A0}').toExactlyMatch(r`(?S:\s)\s`);
+      expect('\u{A0} ').not.toExactlyMatch(r`(?S:\s)\s`);
+    });
+  });
+
+  describe('word', () => {
+    it('should match Unicode word chars by default', () => {
+      expect(['a', '_', '\xE9', '\u{660}']).toExactlyMatch(r`\w`);
+    });
+
+    it('should match only ASCII word chars with flag W', () => {
+      expect(['a', '_', '0']).toExactlyMatch({pattern: r`\w`, flags: 'W'});
+      expect('\xE9').not.toExactlyMatch({pattern: r`\w`, flags: 'W'});
+      expect('\xE9').not.toExactlyMatch({pattern: '[[:word:]]', flags: 'W'});
+      expect('\xE9').toExactlyMatch({pattern: r`\W`, flags: 'W'});
+    });
+
+    it('should apply flag W from modifiers to the current scope', () => {
+      expect('\xE9').not.toExactlyMatch(r`(?W)\w`);
+      expect('a\xE9').toExactlyMatch(r`(?W:\w)\w`);
+      expect('\xE9a').not.toExactlyMatch(r`(?W:\w)\w`);
+      expect('\xE9').toExactlyMatch({pattern: r`(?-W:\w)`, flags: 'W'});
+      // Flag directives continue into subsequent alternatives
+      expect('\xE9').not.toExactlyMatch(r`(?W)a|\w`);
+    });
+  });
 });
@@ -1,5 +1,6 @@
-import {toDetails} from '../dist/esm/index.mjs';
+import {toDetails, toRegExp} from '../dist/esm/index.mjs';
 import {cp, r} from '../src/utils.js';
+import {maxTestTargetForFlagGroups} from './helpers/features.js';
 import {matchers} from './helpers/matchers.js';
 
 beforeEach(() => {
@@ -15,6 +16,47 @@ describe('Character', () => {
     });
   });
 
+  describe('case folding', () => {
+    it('should match multichar case folds with flag i', () => {
+      expect(['ss', 'SS', 'ſs', 'ß', 'ẞ']).toExactlyMatch({pattern: 'ß', flags: 'i'});
+      expect(['ss', 'ß', 'ẞ']).toExactlyMatch({pattern: 'ss', flags: 'i'});
+      expect(['fi', 'FI', 'ﬁ']).toExactlyMatch({pattern: 'ﬁ', flags: 'i'});
+      expect(['ffi', 'ﬃ']).toExactlyMatch({pattern: 'ffi', flags: 'i'});
+      expect(['st', 'ﬅ', 'ﬆ']).toExactlyMatch({pattern: 'ﬅ', flags: 'i'});
+      expect(['ssss', 'ßß', 'ßss']).toExactlyMatch({pattern: 'ß{2}', flags: 'i'});
+      expect('aßb').toExactlyMatch({pattern: 'a(?i)ss(?-i)b', maxTestTarget: maxTestTargetForFlagGroups});
+      expect('ss').not.toExactlyMatch('ß');
+      expect('ß').not.toExactlyMatch('ss');
+    });
+
+    it('should find multichar case folds from the left, with longest first', () => {
+      expect(['sss', 'ßs']).toExactlyMatch({pattern: 'sss', flags: 'i'});
+      expect('sß').not.toExactlyMatch({pattern: 'sss', flags: 'i'});
+      expect(['sss', 'sß']).toExactlyMatch({pattern: 'sß', flags: 'i'});
+      expect('ﬀi').not.toExactlyMatch({pattern: 'ffi', flags: 'i'});
+      expect('ﬀi').not.toExactlyMatch({pattern: 'ﬃ', flags: 'i'});
+    });
+
+    it('should find multichar case folds across noncapturing groups without flags or alternation', () => {
+      expect('ß').toExactlyMatch({pattern: '(?:s)s', flags: 'i'});
+      expect('ßt').toExactlyMatch({pattern: 's(?:st)', flags: 'i'});
+      expect('ﬃ').toExactlyMatch({pattern: '(?:f)(?:(?:f)i)', flags: 'i'});
+      expect('ß').not.toExactlyMatch({pattern: '(s)s', flags: 'i'});
+      expect('ß').not.toExactlyMatch({pattern: '(?>s)s', flags: 'i'});
+      expect('ß').not.toExactlyMatch({pattern: '(?:s|x)s', flags: 'i'});
+      expect('ß').not.toExactlyMatch({pattern: 's(?:s)?', flags: 'i'});
+    });
+
+    it('should not match multichar case folds for literal chars within lookbehind', () => {
+      expect(toRegExp('(?<=ß)x', {flags: 'i'}).exec('ssx')).toBeNull();
+      expect(toRegExp('(?<=ss)x', {flags: 'i'}).exec('ßx')).toBeNull();
+    });
+
+    it('should not match multichar case folds with ASCII ignore-case', () => {
+      expect('ss').not.toExactlyMatch({pattern: 'ß', flags: 'i', rules: {ignoreCaseIsAscii: true}});
+    });
+  });
+
   describe('control', () => {
     it(r`should match control char with \cx`, () => {
       expect('\x01').toExactlyMatch(r`\cA`);
@@ -30,10 +72,31 @@ describe('Character', () => {
       expect('\x1A').toExactlyMatch(r`\C-z`);
     });
 
-    // Not yet supported: control char identifier other than A-Za-z
-    it('should throw for unsupported control char', () => {
-      expect(() => toDetails(r`\c.`)).toThrow();
-      expect(() => toDetails(r`\C-.`)).toThrow();
+    it('should match control char with non-letter identifiers', () => {
+      expect('\x0E').toExactlyMatch(r`\c.`);
+      expect('\x0E').toExactlyMatch(r`\C-.`);
+      expect('\x11').toExactlyMatch(r`\c1`);
+      expect('\0').toExactlyMatch(r`\c@`);
+      expect('\x1B').toExactlyMatch(r`\c[`);
+      expect('\x89').toExactlyMatch('\\c\xE9');
+    });
+
+    it('should match delete with \c? and \C-?', () => {
+      expect('\x7F').toExactlyMatch(r`\c?`);
+      expect('\x7F').toExactlyMatch(r`\C-?`);
+    });
+
+    it('should allow escaped identifiers', () => {
+      expect('\n').toExactlyMatch(r`\c\n`);
+      expect('\x1C').toExactlyMatch(r`\c\\`);
+      expect('\x1F').toExactlyMatch(r`\c\?`);
+      expect('\x17').toExactlyMatch(r`\c\w`);
+      expect('\x1841').toExactlyMatch(r`\c\x41`);
+    });
+
+    it('should match within char classes', () => {
+      expect('\x11').toExactlyMatch(r`[\c1]`);
+      expect(['\0', '\x1F']).toExactlyMatch(r`[\c@-\c_]`);
     });
 
     it(r`should throw for incomplete \c`, () => {
@@ -43,6 +106,15 @@ describe('Character', () => {
     it(r`should throw for incomplete \C`, () => {
       expect(() => toDetails(r`\C`)).toThrow();
       expect(() => toDetails(r`\C-`)).toThrow();
+      expect(() => toDetails(r`\Cx`)).toThrow();
+    });
+
+    it('should throw for incomplete nested escapes', () => {
+      expect(() => toDetails('\\c\\')).toThrow();
+      expect(() => toDetails(r`\c\c`)).toThrowError(r`Incomplete nested control or meta char "\c\c"`);
+      expect(() => toDetails(r`\c\M`)).toThrowError(r`Incomplete nested control or meta char "\c\M"`);
+      expect(() => toDetails(r`\M-\c`)).toThrowError(r`Incomplete nested control or meta char "\M-\c"`);
+      expect(() => toDetails(r`\C-\M-\C`)).toThrowError(r`Incomplete nested control or meta char "\C-\M-\C"`);
     });
   });
 
@@ -104,19 +176,33 @@ describe('Character', () => {
   });
 
   describe('meta', () => {
-    // Not yet supported
-    it('should throw for unsupported meta', () => {
-      expect(() => toDetails(r`\M-\1`)).toThrow();
+    it(r`should match meta char with \M-x`, () => {
+      expect('\xE1').toExactlyMatch(r`\M-a`);
+      expect('\xBF').toExactlyMatch(r`\M-?`);
+      expect('\xE9').toExactlyMatch('\\M-\xE9');
+      expect('\xB1').toExactlyMatch(r`\M-\1`);
+      expect('\x89').toExactlyMatch(r`\M-\t`);
+      expect('\xDC').toExactlyMatch(r`\M-\\`);
     });
 
     it('should throw for incomplete meta', () => {
       expect(() => toDetails(r`\M`)).toThrow();
       expect(() => toDetails(r`\M-`)).toThrow();
+      expect(() => toDetails(r`\Ma`)).toThrow();
+    });
+
+    it(r`should match meta control char with \M-\C-x and nested variations`, () => {
+      expect('\x81').toExactlyMatch(r`\M-\C-A`);
+      expect('\x81').toExactlyMatch(r`\M-\ca`);
+      expect('\x81').toExactlyMatch(r`\C-\M-a`);
+      expect('\x81').toExactlyMatch(r`\c\M-a`);
+      expect('\xFF').toExactlyMatch(r`\M-\C-?`);
     });
 
-    // Not yet supported
-    it('should throw for unsupported meta control char', () => {
-      expect(() => toDetails(r`\M-\C-A`)).toThrow();
+    it('should match within char classes', () => {
+      expect('\xE1').toExactlyMatch(r`[\M-a]`);
+      expect(['\x7F', '\x81']).toExactlyMatch(r`[\c?-\M-\C-a]`);
+      expect('\x82').not.toExactlyMatch(r`[\c?-\M-\C-a]`);
     });
 
     it('should throw for incomplete meta control char', () => {
@@ -165,8 +251,26 @@ describe('Character', () => {
       expect(cp(0o177)).toExactlyMatch(r`[\177]`);
     });
 
-    it(r`should throw for octal UTF-8 encoded byte above \177`, () => {
+    it(r`should match octal UTF-8 encoded byte sequences above \177`, () => {
+      expect('\u{20AC}').toExactlyMatch(r`\342\202\254`); // €
+      expect('\u{E9}0').toExactlyMatch(r`\303\2510`);
+      expect('\u{20AC}\u{20AC}').toExactlyMatch(r`\342\202\254+`);
+      // Mixed with hex encoded bytes
+      expect('\u{20AC}').toExactlyMatch(r`\xE2\202\xAC`);
+      // Separated by whitespace with flag x
+      expect('\u{20AC}').toExactlyMatch({pattern: r`\342 \202\254`, flags: 'x'});
+      // In char class
+      expect('\u{20AC}').toExactlyMatch(r`[\342\202\254]`);
+      expect(['\u{E9}', '\u{EB}']).toExactlyMatch(r`[\303\251-\303\253]`);
+    });
+
+    it(r`should throw for invalid octal UTF-8 encoded byte sequences above \177`, () => {
       expect(() => toDetails(r`\200`)).toThrow();
+      expect(() => toDetails(r`\342`)).toThrow();
+      expect(() => toDetails(r`\342 \202\254`)).toThrow();
+      expect(() => toDetails(r`[\342 \202\254]`)).toThrow();
+      // Onig truncates these to their low byte
+      expect(() => toDetails(r`\400`)).toThrow();
       expect(() => toDetails(r`\777`)).toThrow();
       // In char class
       expect(() => toDetails(r`[\200]`)).toThrow();
@@ -300,12 +404,70 @@ describe('Character', () => {
     });
   });
 
+  describe('code point sequence', () => {
+    it('should match a series of chars outside char classes', () => {
+      expect('AB').toExactlyMatch(r`\x{41 42}`);
+      expect('AB').toExactlyMatch(r`\x{41  42}`);
+      expect('AB').toExactlyMatch('\\x{41\n42}');
+      expect('AB').toExactlyMatch(r`\x{41 42 }`);
+      expect('\u{10FFFF}\0').toExactlyMatch(r`\x{10FFFF 0}`);
+    });
+
+    it('should apply a following quantifier to only the last char', () => {
+      expect('ABB').toExactlyMatch(r`\x{41 42}+`);
+      expect('ABAB').not.toExactlyMatch(r`\x{41 42}+`);
+    });
+
+    it('should match a set of chars within char classes', () => {
+      expect(['A', 'B']).toExactlyMatch(r`[\x{41 42}]`);
+      expect('AB').not.toExactlyMatch(r`[\x{41 42}]`);
+    });
+
+    it('should allow ranges within char classes', () => {
+      expect(['A', 'C', 'E']).toExactlyMatch(r`[\x{41-43 45}]`);
+      expect(['A', 'C']).toExactlyMatch(r`[\x{41 - 43}]`);
+      expect(['D', '-']).not.toExactlyMatch(r`[\x{41-43 45}]`);
+      expect(['A', 'C', 'E']).toExactlyMatch(r`[\x{41 42}-\x{45}]`);
+    });
+
+    it('should throw for invalid sequences', () => {
+      [ r`\x{41 }`,
+        r`\x{41 4G}`,
+        r`\x{41\t42}`,
+        r`\x{41 000000042}`,
+        r`\x{41-43}`,
+        r`[\x{41-}]`,
+        r`[\x{41-43-45}]`,
+        r`[\x{43-41}]`,
+      ].forEach(pattern => {
+        expect(() => toDetails(pattern)).toThrow();
+      });
+    });
+  });
+
   describe('enclosed octal', () => {
-    // Not yet supported
-    it('should throw for unsupported octal code point', () => {
-      expect(() => toDetails(r`\o{0}`)).toThrow();
-      expect(() => toDetails(r`\o{177}`)).toThrow();
-      expect(() => toDetails(r`\o{7777}`)).toThrow();
+    it(r`should match octal code point with \o{N...}`, () => {
+      expect('\0').toExactlyMatch(r`\o{0}`);
+      expect('\x7F').toExactlyMatch(r`\o{177}`);
+      expect('\u0FFF').toExactlyMatch(r`\o{7777}`);
+      expect('\u{10FFFF}').toExactlyMatch(r`\o{4177777}`);
+      expect('\x7F').toExactlyMatch(r`[\o{177}]`);
+    });
+
+    it('should allow leading 0s up to 11 total octal digits', () => {
+      expect('A').toExactlyMatch(r`\o{00000000101}`);
+      expect(() => toDetails(r`\o{000000000101}`)).toThrow();
+    });
+
+    it('should allow code point sequences', () => {
+      expect('AB').toExactlyMatch(r`\o{101 102}`);
+      expect(['A', 'C']).toExactlyMatch(r`[\o{101-103}]`);
+      expect(() => toDetails(r`\o{101 }`)).toThrow();
+      expect(() => toDetails(r`\o{101 8}`)).toThrow();
+    });
+
+    it(r`should throw for \o{N...} out of range`, () => {
+      expect(() => toDetails(r`\o{4200000}`)).toThrow();
     });
 
     it(r`should match \o without { as identity escape`, () => {
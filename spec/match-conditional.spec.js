@@ -0,0 +1,109 @@
+import {toDetails} from '../dist/esm/index.mjs';
+import {r} from '../src/utils.js';
+import {matchers} from './helpers/matchers.js';
+
+beforeEach(() => {
+  jasmine.addMatchers(matchers);
+});
+
+describe('Conditional', () => {
+  describe('group participation condition', () => {
+    it('should match the first branch if the group participated', () => {
+      expect('ab').toExactlyMatch('(a)?(?(1)b|c)');
+      expect('c').toExactlyMatch('(a)?(?(1)b|c)');
+      expect(['ac', 'b']).not.toExactlyMatch('(a)?(?(1)b|c)');
+    });
+
+    it('should use additional alternatives as alternatives of the second branch', () => {
+      expect(['ab', 'c', 'd']).toExactlyMatch('(a)?(?(1)b|c|d)');
+      expect(['ac', 'ad']).not.toExactlyMatch('(a)?(?(1)b|c|d)');
+    });
+
+    it('should allow omitting branches', () => {
+      expect(['ab', '']).toExactlyMatch('(a)?(?(1)b)');
+      expect('a').not.toExactlyMatch('(a)?(?(1)b)');
+      expect(['a', 'c']).toExactlyMatch('(a)?(?(1)|c)');
+      expect('ac').toExactlyMatch('(a)?(?(1))c');
+    });
+
+    it('should allow named, relative, and wrapped refs', () => {
+      expect(['ab', 'c']).toExactlyMatch('(?<n>a)?(?(<n>)b|c)');
+      expect(['ab', 'c']).toExactlyMatch(`(?<n>a)?(?('n')b|c)`);
+      expect(['ab', 'c']).toExactlyMatch('(a)?(?(-1)b|c)');
+      expect(['ab', 'c']).toExactlyMatch('(a)?(?(<1>)b|c)');
+      expect(['ab', 'c']).toExactlyMatch('(?<n>a)?(?(1)b|c)');
+    });
+
+    it('should check all groups with a duplicate name', () => {
+      expect(['ax', 'bx', 'abx', 'y']).toExactlyMatch('(?<n>a)?(?<n>b)?(?(<n>)x|y)');
+      expect(['ay', 'x']).not.toExactlyMatch('(?<n>a)?(?<n>b)?(?(<n>)x|y)');
+    });
+
+    it('should match the second branch if the group can\'t participate', () => {
+      expect('c').toExactlyMatch('(?:(a)|(?(1)b|c))');
+      expect('b').not.toExactlyMatch('(?:(a)|(?(1)b|c))');
+    });
+
+    it('should handle common quote matching', () => {
+      expect(['"a"', `'a'`, 'a ']).toExactlyMatch(r`(?<q>["'])?a(?(<q>)\k<q>|\s)`);
+      expect([`"a'`, '"a ', ' a"']).not.toExactlyMatch(r`(?<q>["'])?a(?(<q>)\k<q>|\s)`);
+    });
+
+    it('should throw for refs to groups not defined to the left', () => {
+      expect(() => toDetails('(?(1)a|b)')).toThrow();
+      expect(() => toDetails('(?(1)a|b)(c)')).toThrow();
+      expect(() => toDetails('(?(+1)a|b)(c)')).toThrow();
+      expect(() => toDetails('(?(<n>)a|b)')).toThrow();
+    });
+
+    it('should throw for refs with recursion level', () => {
+      expect(() => toDetails('(a)(?(1+0)b|c)')).toThrow();
+      expect(() => toDetails('(?<n>a)(?(<n-0>)b|c)')).toThrow();
+    });
+
+    it('should throw for refs to groups that can match an empty string', () => {
+      expect(() => toDetails('(a?)(?(1)b|c)')).toThrow();
+    });
+  });
+
+  describe('subexpression condition', () => {
+    it('should match the condition followed by the first branch if the condition matches', () => {
+      expect(['ab', 'c']).toExactlyMatch('(?(a)b|c)');
+      expect(['ac', 'b']).not.toExactlyMatch('(?(a)b|c)');
+      expect(['aab', 'c']).toExactlyMatch('(?(a+)b|c)');
+    });
+
+    it('should not try the second branch if the first branch fails after the condition matches', () => {
+      expect('ac').not.toFindMatch('(?(a)b|a.)');
+    });
+
+    it('should match the condition atomically', () => {
+      expect('ac').toExactlyMatch('(?(a|ab)c|d)');
+      expect('abc').not.toFindMatch('(?(a|ab)c|d)');
+    });
+
+    it('should use additional alternatives as alternatives of the second branch', () => {
+      expect(['ab', 'c', 'd']).toExactlyMatch('(?(a)b|c|d)');
+    });
+
+    it('should allow omitting one branch', () => {
+      expect(['ab', '']).toExactlyMatch('(?(a)b)');
+      expect(['a', 'b']).toExactlyMatch('(?(a)|b)');
+    });
+
+    it('should allow captures in the branches', () => {
+      expect('abb').toExactlyMatch(r`(?(a)(b)|c)\1`);
+    });
+
+    it('should throw if no branch follows the condition', () => {
+      expect(() => toDetails('(?(a))')).toThrow();
+    });
+
+    it('should throw for invalid or unsupported conditions', () => {
+      expect(() => toDetails('(?(?=a)b|c)')).toThrow();
+      expect(() => toDetails('(?(a)*b|c)')).toThrow();
+      expect(() => toDetails('(?((a))b|c)')).toThrow();
+      expect(() => toDetails('(?<=(?(a)b|c))')).toThrow();
+    });
+  });
+});
@@ -1,22 +1,104 @@
-// TODO: Add me
-
-// import {r} from '../src/utils.js';
-// import {matchers} from './helpers/matchers.js';
-
-// beforeEach(() => {
-//   jasmine.addMatchers(matchers);
-// });
-
-// describe('Directive', () => {
-//   describe('flags', () => {
-//     it('should', () => {
-//       expect('').toExactlyMatch(r``);
-//     });
-//   });
-
-//   describe('keep', () => {
-//     it('should', () => {
-//       expect('').toExactlyMatch(r``);
-//     });
-//   });
-// });
+import {toDetails, toRegExp} from '../dist/esm/index.mjs';
+import {r} from '../src/utils.js';
+import {matchers} from './helpers/matchers.js';
+
+beforeEach(() => {
+  jasmine.addMatchers(matchers);
+});
+
+describe('Directive', () => {
+  // TODO: Add me
+  // describe('flags', () => {
+  //   it('should', () => {
+  //     expect('').toExactlyMatch(r``);
+  //   });
+  // });
+
+  describe('keep', () => {
+    it('should exclude the preceding part of the match from the result', () => {
+      const match = toRegExp(r`ab\Kc`).exec('abc');
+      expect(match[0]).toBe('c');
+      expect(match.index).toBe(2);
+      expect(toRegExp(r`a\Kb\Kc`).exec('abc')[0]).toBe('c');
+    });
+
+    it('should be supported with top-level alternation', () => {
+      expect(toRegExp(r`ab\Kc|a`).exec('abc')[0]).toBe('c');
+      expect(toRegExp(r`ab\Kc|a`).exec('abd')[0]).toBe('a');
+      expect(toRegExp(r`a\Kb|c\Kd|e`).exec('cd')[0]).toBe('d');
+      expect(toRegExp(r`a\Kb|c\Kd|e`).exec('e')[0]).toBe('e');
+      expect(toRegExp(r`(a)\Kb|c`).exec('ab')[0]).toBe('b');
+      expect(toRegExp(r`a|(b)\Kc`).exec('bc')[0]).toBe('c');
+    });
+
+    it('should prefer an earlier top-level alternative with keep that matches at an earlier position', () => {
+      let match = toRegExp(r`ab\Kc|b`).exec('abc');
+      expect(match[0]).toBe('c');
+      expect(match.index).toBe(2);
+      match = toRegExp(r`ab\Kc|bc`).exec('abc');
+      expect(match[0]).toBe('c');
+      expect(match.index).toBe(2);
+      match = toRegExp(r`xa\Kb|a`).exec('xab');
+      expect(match[0]).toBe('b');
+      expect(match.index).toBe(2);
+    });
+
+    it('should be supported within groups and quantifiers', () => {
+      expect(toRegExp(r`(?:a\Kb|\Kc)d`).exec('abd')[0]).toBe('bd');
+      expect(toRegExp(r`(?:a\Kb|\Kc)d`).exec('cd')[0]).toBe('cd');
+      expect(toRegExp(r`(?:a\Kb)+`).exec('abab')[0]).toBe('b');
+      expect(toRegExp(r`(?:x\K)?y`).exec('xy')[0]).toBe('y');
+      expect(toRegExp(r`(?:x\K)?y`).exec('y')[0]).toBe('y');
+    });
+
+    it('should be supported within lookaround', () => {
+      expect(toRegExp(r`(?:(?=a\K)a)b`).exec('ab')[0]).toBe('b');
+      expect(toRegExp(r`(?=a\Kb)`).exec('ab').index).toBe(0);
+    });
+
+    it('should return an empty match at the end if the last keep in lookahead is past the end', () => {
+      const match = toRegExp(r`a(?=b\Kc)`).exec('abc');
+      expect(match[0]).toBe('');
+      expect(match.index).toBe(1);
+    });
+
+    it('should throw within repeated quantifiers or lookahead with strict accuracy', () => {
+      [ r`(?:a\Kb|x)+`,
+        r`(?:a\K){2}`,
+        r`a(?=b\Kc)`,
+        r`(?:(?=a\K)a)b`,
+      ].forEach(pattern => {
+        expect(() => toDetails(pattern)).not.toThrow();
+        expect(() => toDetails(pattern, {accuracy: 'strict'})).toThrow();
+      });
+      [ r`(?:x\K)?y`,
+        r`(?:a\Kb|\Kc)d`,
+        r`(?<=a\K)b`,
+      ].forEach(pattern => {
+        expect(() => toDetails(pattern, {accuracy: 'strict'})).not.toThrow();
+      });
+    });
+
+    it('should adjust the match index and indices but not captures within groups', () => {
+      const match = toRegExp(r`x(?<n>a\Kb)\k<n>`, {hasIndices: true}).exec('xabab');
+      expect(match.index).toBe(2);
+      expect([...match]).toEqual(['bab', 'ab']);
+      expect(match.groups).toEqual({n: 'ab'});
+      expect(match.indices[0]).toEqual([2, 5]);
+      expect(match.indices.groups.n).toEqual([1, 3]);
+      expect(toRegExp(r`(?:a\K)b`).exec('ab').groups).toBeUndefined();
+    });
+
+    it('should continue global searches after the end of the match', () => {
+      const re = toRegExp(r`(?:a\K)b`, {global: true});
+      expect('abab'.match(re)).toEqual(['b', 'b']);
+      expect('abab'.replace(re, '-')).toBe('a-a-');
+    });
+
+    it('should throw within groups and quantifiers or with top-level alternation with option avoidSubclass', () => {
+      expect(() => toDetails(r`(?:a\K)b`, {avoidSubclass: true})).toThrow();
+      expect(() => toDetails(r`ab\Kc|a`, {avoidSubclass: true})).toThrow();
+      expect(toDetails(r`ab\Kc`, {avoidSubclass: true}).pattern).toBe('(?<=ab)c');
+    });
+  });
+});
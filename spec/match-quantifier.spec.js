@@ -1,11 +1,23 @@
-import {toDetails} from '../dist/esm/index.mjs';
+import {toDetails, toRegExp} from '../dist/esm/index.mjs';
 import {r} from '../src/utils.js';
 import {matchers} from './helpers/matchers.js';
+import {onigurumaExec} from './helpers/oniguruma.js';
 
 beforeEach(() => {
   jasmine.addMatchers(matchers);
 });
 
+async function expectSameResultsAsOniguruma(pattern, strings) {
+  const re = toRegExp(pattern);
+  for (const str of strings) {
+    const expected = await onigurumaExec(pattern, str);
+    const match = re.exec(str);
+    const context = `${pattern} with "${str}"`;
+    expect(match && [...match]).withContext(context).toEqual(expected && [...expected]);
+    expect(match?.index).withContext(context).toBe(expected?.index);
+  }
+}
+
 describe('Quantifier', () => {
   // TODO: Add me
   // describe('greedy', () => {
@@ -81,6 +93,112 @@ describe('Quantifier', () => {
   //   });
   // });
 
+  describe('captures', () => {
+    it('should keep values from prior iterations', () => {
+      expect([...toRegExp(r`(?:(a)|b)+`).exec('ab')]).toEqual(['ab', 'a']);
+      expect([...toRegExp(r`(?:(a)|b)*?c`).exec('abbc')]).toEqual(['abbc', 'a']);
+    });
+
+    it('should match the same as Oniguruma', async () => {
+      const strings = ['', 'a', 'ab', 'aba', 'abb', 'abba', 'baab', 'bbc', 'abcab', 'acabbc', 'cbcaab'];
+      for (const pattern of [
+        r`(?:(a)|b)+`,
+        r`(?:(a)|b)*c`,
+        r`(?:(a)|b)*?c`,
+        r`(?:(a)|b)*+c`,
+        r`(?:b|(ab)|c)+c`,
+        r`(?:(a[bc])|b|cc)+?a`,
+      ]) {
+        await expectSameResultsAsOniguruma(pattern, strings);
+      }
+      await expectSameResultsAsOniguruma(r`"(?:(\\.)|[^"\\]+)*"`, [r`"a"`, r`"\"a"`, r`"a\"b\\"`, r`"\n\t"x"`]);
+    });
+
+    it('should throw with strict accuracy if unable to keep values from prior iterations', () => {
+      [ r`(?:(a)|.)+`,
+        r`(?:(a)|b*)+`,
+        r`(?:(a)?b)+`,
+        r`(?:(a)|b){2}`,
+        r`(?:(a)|(b))+`,
+        r`(?:(?:(a)|b)+c)+`,
+        // Backrefs can't efficiently check whether the capture participated
+        r`(?:(a)|b)+\1`,
+        r`(?:(a)|b)++x\1`,
+      ].forEach(pattern => {
+        expect(() => toDetails(pattern)).not.toThrow();
+        expect(() => toDetails(pattern, {accuracy: 'strict'})).toThrow();
+      });
+    });
+
+    it('should not throw with strict accuracy for captures that participate in every iteration', () => {
+      [ r`(a)+`,
+        r`(?:(a)|b)`,
+        r`(?:x(a)y)+`,
+        r`(?:(a)b?)+`,
+        r`(?:(?!(a))b)+`,
+      ].forEach(pattern => {
+        expect(() => toDetails(pattern, {accuracy: 'strict'})).not.toThrow();
+      });
+    });
+  });
+
+  describe('empty iterations', () => {
+    it('should stop repeating after an iteration matches an empty string', () => {
+      expect(toRegExp('(?:|a)*').exec('aa')[0]).toBe('');
+      expect(toRegExp('(?:a?|b)*').exec('ab')[0]).toBe('a');
+      expect([...toRegExp('(|a)+').exec('a')]).toEqual(['', '']);
+    });
+
+    it('should keep captures from an iteration that matches an empty string', () => {
+      expect([...toRegExp('(a?)*').exec('a')]).toEqual(['a', '']);
+      expect([...toRegExp('(?:a|(b?))*').exec('ab')]).toEqual(['ab', '']);
+      expect([...toRegExp('(a?)?').exec('b')]).toEqual(['', '']);
+    });
+
+    it('should match the same as Oniguruma', async () => {
+      const strings = ['', 'a', 'b', 'ab', 'ba', 'aab', 'abab', 'bbaa', 'abcab'];
+      for (const pattern of [
+        '(a?)*',
+        '(a?)*+',
+        '(a?)+?b',
+        '(a*b?)*',
+        '(|a)+',
+        '(|a)*b',
+        '(|a)?',
+        '(|a)??',
+        '(?:|a)*',
+        '(?:a?|b)*',
+        '(?:b|a?|ab)*b',
+        '(?:()|a|b)*',
+        '(?:a|(b?))*',
+        '(?:c|(a?)b?)*c',
+      ]) {
+        await expectSameResultsAsOniguruma(pattern, strings);
+      }
+    });
+
+    it('should throw with strict accuracy if unable to emulate', () => {
+      [ r`(?:(\b)|a)*`,
+        r`(?:a(b?)|c?)*`,
+        r`(a?){2,}`,
+        r`(a?)*\1`,
+      ].forEach(pattern => {
+        expect(() => toDetails(pattern)).not.toThrow();
+        expect(() => toDetails(pattern, {accuracy: 'strict'})).toThrow();
+      });
+    });
+
+    it('should not throw with strict accuracy if emulation is not needed', () => {
+      [ r`(?:a?)*`,
+        r`(?:a|\b)*`,
+        r`(a?)*?`,
+        r`(a?){1}`,
+      ].forEach(pattern => {
+        expect(() => toDetails(pattern, {accuracy: 'strict'})).not.toThrow();
+      });
+    });
+  });
+
   describe('quantifiability', () => {
     it('should throw at start of pattern, group, or alternative', () => {
       expect(() => toDetails(r`+`)).toThrow();
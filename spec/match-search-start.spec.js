@@ -32,8 +32,8 @@ describe('Assertion: search_start', () => {
     });
 
     it('should throw if not used at the start of every top-level alternative', () => {
-      expect(() => toDetails(r`\Ga|b`)).toThrow();
-      expect(() => toDetails(r`a|\Gb`)).toThrow();
+      expect(() => toDetails(r`\Ga|b`, {avoidSubclass: true})).toThrow();
+      expect(() => toDetails(r`a|\Gb`, {avoidSubclass: true})).toThrow();
     });
 
     it('should allow if following a directive', () => {
@@ -127,7 +127,7 @@ describe('Assertion: search_start', () => {
       expect('a').toExactlyMatch(r`(?:(?>^(?<n>\Ga)))`);
       expect(() => toDetails(r`(?:(?>a(?<n>\Gb)))`)).toThrow();
       expect('a').toExactlyMatch(r`\Ga|(((\Gb)))`);
-      expect(() => toDetails(r`\Ga|(((b\Gc)))`)).toThrow();
+      expect(() => toDetails(r`\Ga|(((b\Gc)))`, {avoidSubclass: true})).toThrow();
       expect(['ac', 'bc']).toExactlyMatch(r`((\Ga|\Gb)c)`);
       expect(() => toDetails(r`((\Ga|b)c)`)).toThrow();
     });
@@ -209,5 +209,32 @@ describe('Assertion: search_start', () => {
       // expect(toRegExp(r`a*(?!\G)a`).exec('abcaaa')?.[0]).toBe('aaa');
       // expect('abcaaa'.match(toRegExp(r`a*(?!\G)`, {global}))).toEqual(['a', '', 'aaa']);
     });
+
+    // Support `\G…|…` and similar, where `\G` leads some but not all top-level alternatives
+    it('should apply search_start_alts', () => {
+      // ## Leading in the first alternative
+      const re = toRegExp(r`\G\s+|^\s*#`, {global: true});
+      expect(re.exec('  #')[0]).toBe('  ');
+      re.lastIndex = 1;
+      expect(re.exec('x  #')[0]).toBe('  ');
+      re.lastIndex = 0;
+      expect(re.exec('x\n  #')[0]).toBe('  #');
+      expect(toRegExp(r`\G\s+|^\s*#`).exec('x  #')).toBeNull();
+      // ## Leading in a later alternative
+      expect(toRegExp(r`a|\Gb`).exec('ba')[0]).toBe('b');
+      expect(toRegExp(r`a|\Gb`).exec('xba')[0]).toBe('a');
+      expect('bbab'.match(toRegExp(r`a|\Gb`, {global: true}))).toEqual(['b', 'b', 'a', 'b']);
+      // ## Earlier alternatives are preferred at the search start
+      expect(toRegExp(r`a|\Gab`).exec('ab')[0]).toBe('a');
+      // ## Within groups and lookaround
+      expect(toRegExp(r`(?:\Ga|\Gb)c|\w`).exec('xbc')[0]).toBe('x');
+      expect([...toRegExp(r`(a)|(?=\G)(b)`).exec('ba')]).toEqual(['b', undefined, 'b']);
+      expect([...toRegExp(r`(a)|(?=\G)(b)`).exec('xba')]).toEqual(['a', 'a', undefined]);
+      // ## Applied repeatedly
+      expect('abab'.replace(toRegExp(r`\Ga|b`, {global: true}), '-')).toBe('----');
+      expect('abxab'.replace(toRegExp(r`\Ga|b`, {global: true}), '-')).toBe('--xa-');
+      // ## Other `\G` uses still throw
+      expect(() => toDetails(r`\Ga|b*\Gc`)).toThrow();
+    });
   });
 });
@@ -1,4 +1,7 @@
+import {toDetails, toRegExp} from '../dist/esm/index.mjs';
+import {GraphemeClusterBreak} from '../dist/esm/unicode-grapheme-cluster-break.mjs';
 import {r} from '../src/utils.js';
+import {maxTestTargetForFlagGroups} from './helpers/features.js';
 import {matchers} from './helpers/matchers.js';
 
 beforeEach(() => {
@@ -28,6 +31,87 @@ describe('VariableLengthCharacterSet', () => {
       expect('X').toExactlyMatch(r`[\X]`);
       expect('a').not.toFindMatch(r`[\X]`);
     });
+
+    describe('with grapheme cluster break data', () => {
+      const unicodeData = {graphemeClusterBreak: GraphemeClusterBreak};
+
+      it('should match any Unicode grapheme', () => {
+        expect([
+          ...graphemes,
+          '\u1100\u1161\u11A8', // 각 (L V T)
+          '\uAC00\u11A8', // 각 (LV T)
+          '\u{1F1FA}\u{1F1F8}', // 🇺🇸
+          '\u0915\u094D\u0937', // क्ष
+          '\u{1F469}\u200D\u{1F467}', // 👩‍👧
+          '\u0600a', // Prepend
+        ]).toExactlyMatch({pattern: r`\X`, unicodeData});
+      });
+
+      it('should not match multiple graphemes', () => {
+        expect([
+          'ab',
+          '\n\r',
+          '\r\u0301',
+          '\u11A8\u1100', // T L
+          '\u{1F1FA}\u{1F1F8}\u{1F1EC}',
+          'a\u200D\u{1F467}',
+        ]).not.toExactlyMatch({pattern: r`\X`, unicodeData});
+        expect('\u{1F1FA}\u{1F1F8}\u{1F1EC}\u{1F1E7}').toExactlyMatch({pattern: r`\X\X`, unicodeData});
+      });
+
+      it('should match graphemes atomically', () => {
+        expect(graphemes).not.toFindMatch({pattern: r`\X\p{Any}`, unicodeData});
+      });
+
+      it('should not apply case insensitivity to grapheme rules', () => {
+        const opts = {pattern: r`\X`, flags: 'i', maxTestTarget: maxTestTargetForFlagGroups, unicodeData};
+        expect('a\u0345').toExactlyMatch(opts);
+        expect('a\u03B9').not.toExactlyMatch(opts);
+      });
+
+      it('should not throw with strict accuracy', () => {
+        expect(() => toDetails(r`\X`, {accuracy: 'strict', unicodeData})).not.toThrow();
+      });
+    });
+  });
+
+  describe('word_segment', () => {
+    it('should match words, whitespace runs, and other graphemes with text segment mode word', () => {
+      expect([
+        'word', "can't", '3.14', 'foo_bar', '  ', '\r\n', '.', '\u65E5',
+      ]).toExactlyMatch(r`(?y{w})\X`);
+      expect([
+        'a b', 'a..b', '\u65E5\u672C',
+      ]).not.toExactlyMatch(r`(?y{w})\X`);
+    });
+
+    it('should match word segments atomically', () => {
+      expect('ab').not.toFindMatch(r`(?y{w})\Xb`);
+    });
+
+    it('should apply text segment mode until the end of the pattern or its group', () => {
+      expect('abc').toExactlyMatch(r`(?y{w})a\X`);
+      expect('abc').toExactlyMatch(r`(?:(?y{w})a\X)`);
+      expect('abc').not.toExactlyMatch(r`\X(?y{w})`);
+      expect('abc').not.toExactlyMatch(r`(?y{w})(?y{g})a\X`);
+      expect('abc').toExactlyMatch(r`(?y{g}y{w})a\X`);
+    });
+
+    it('should not apply text segment mode outside its group', () => {
+      expect(toRegExp(r`(?y{w}:a)\X`).exec('abc')[0]).toBe('ab');
+      expect(toRegExp(r`a(?y{w}:b)\X`).exec('abcd')[0]).toBe('abc');
+      expect(toRegExp(r`(?:a(?y{w}))\X`).exec('abc')[0]).toBe('ab');
+      expect(toRegExp(r`(?i:(?y{w}))\X`).exec('abc')[0]).toBe('a');
+    });
+
+    it('should throw if text segment mode is turned off', () => {
+      expect(() => toDetails(r`(?-y{w})\X`)).toThrow();
+      expect(() => toDetails(r`(?i-y{g}:\X)`)).toThrow();
+    });
+
+    it('should throw with strict accuracy', () => {
+      expect(() => toDetails(r`(?y{w})\X`, {accuracy: 'strict'})).toThrow();
+    });
   });
 
   describe('newline', () => {
@@ -1,5 +1,6 @@
-import {toDetails} from '../dist/esm/index.mjs';
+import {toDetails, toRegExp} from '../dist/esm/index.mjs';
 import {envSupportsFlagV, r} from '../src/utils.js';
+import {maxTestTargetForFlagGroups, minTestTargetForFlagGroups} from './helpers/features.js';
 import {matchers} from './helpers/matchers.js';
 
 beforeEach(() => {
@@ -21,6 +22,55 @@ describe('Options', () => {
   //   });
   // });
 
+  describe('caseFold', () => {
+    it('should match dotted and dotless i with their own case pairs for turkic', () => {
+      const opts = {flags: 'i', caseFold: 'turkic'};
+      expect(['i', 'İ']).toExactlyMatch({pattern: 'i', ...opts});
+      expect(['I', 'ı']).not.toExactlyMatch({pattern: 'i', ...opts});
+      expect(['I', 'ı']).toExactlyMatch({pattern: 'I', ...opts});
+      expect(['i', 'İ']).not.toExactlyMatch({pattern: 'I', ...opts});
+      expect('İ').toExactlyMatch({pattern: '[a-z]', ...opts});
+      expect('I').not.toExactlyMatch({pattern: '[a-z]', ...opts});
+      expect('ı').toExactlyMatch({pattern: '[A-Z]', ...opts});
+      expect('i').not.toExactlyMatch({pattern: '[^İ]', ...opts});
+      expect(['i', 'I']).toExactlyMatch({pattern: 'i', flags: 'i'});
+    });
+
+    it('should match case-insensitive chars in class intersection for turkic', () => {
+      const opts = {flags: 'i', caseFold: 'turkic', minTestTarget: 'ES2024'};
+      expect(['i', 'İ']).toExactlyMatch({pattern: '[i&&[a-z]]', ...opts});
+      expect(['I', 'ı']).not.toExactlyMatch({pattern: '[i&&[a-z]]', ...opts});
+      expect(['i', 'İ']).toExactlyMatch({pattern: '[[a-z]&&i]', ...opts});
+    });
+
+    it('should not use flag i when turkic folding applies', () => {
+      expect(toDetails('i', {flags: 'i', caseFold: 'turkic'}).flags).not.toContain('i');
+      expect(toDetails('a', {flags: 'i', caseFold: 'turkic'}).flags).toContain('i');
+      expect(toDetails('i', {caseFold: 'turkic'}).pattern).toBe('i');
+      ['.', r`\w`, r`\D`, '[^a]', r`\p{L}`].forEach(pattern => {
+        expect(toDetails(pattern, {flags: 'i', caseFold: 'turkic'}).flags).not.toContain('i');
+      });
+    });
+
+    it('should match case-insensitive backrefs with turkic and target ES2025', () => {
+      const opts = {flags: 'i', caseFold: 'turkic'};
+      expect(['ii', 'iI']).toExactlyMatch({pattern: r`(i)\1`, ...opts, minTestTarget: minTestTargetForFlagGroups});
+      expect(() => toDetails(r`(i)\1`, {...opts, target: 'ES2025'})).not.toThrow();
+      expect(() => toDetails(r`(i)\1`, {...opts, target: 'ES2024'})).toThrow();
+      expect(() => toDetails(r`(i)(?-i)\1`, {...opts, target: 'ES2024'})).not.toThrow();
+    });
+
+    it('should throw for case-insensitive backrefs with turkic and strict accuracy', () => {
+      expect(() => toDetails(r`(i)\1`, {flags: 'i', caseFold: 'turkic', accuracy: 'strict', target: 'ES2025'})).toThrow();
+      expect(() => toDetails(r`(.)\1`, {flags: 'i', caseFold: 'turkic', accuracy: 'strict', target: 'ES2025'})).toThrow();
+      expect(() => toDetails(r`(a)(?-i)\1`, {flags: 'i', caseFold: 'turkic', accuracy: 'strict'})).not.toThrow();
+    });
+
+    it('should throw for unexpected values', () => {
+      expect(() => toDetails('', {caseFold: 'tr'})).toThrow();
+    });
+  });
+
   describe('flags', () => {
     it('should accept and translate supported flags', () => {
       expect(toDetails('', {flags: 'i'}).flags).toContain('i');
@@ -28,6 +78,7 @@ describe('Options', () => {
       expect(toDetails('', {flags: 'm'}).flags).not.toContain('m');
       expect(toDetails('', {flags: 'x'}).flags).not.toContain('x');
       expect(toDetails('', {flags: 'D'}).flags).not.toContain('D');
+      expect(toDetails('', {flags: 'P'}).flags).not.toContain('P');
       expect(toDetails('', {flags: 'S'}).flags).not.toContain('S');
       expect(toDetails('', {flags: 'W'}).flags).not.toContain('W');
     });
@@ -153,11 +204,188 @@ describe('Options', () => {
       });
     });
 
+    describe('dontCaptureGroup', () => {
+      it('should make unnamed groups noncapturing', () => {
+        expect(toDetails('(a)(b)', {rules: {dontCaptureGroup: true}}).pattern).toBe('ab');
+        expect('ab').toExactlyMatch({
+          pattern: '(a)(b)',
+          rules: {dontCaptureGroup: true},
+        });
+        expect(() => toDetails(r`(a)\1`, {rules: {dontCaptureGroup: true}})).toThrow();
+        expect(() => toDetails(r`(a)\g<1>`, {rules: {dontCaptureGroup: true}})).toThrow();
+      });
+
+      it('should not change named capture', () => {
+        expect(toDetails('(a)(?<n>b)', {rules: {dontCaptureGroup: true}}).pattern).toBe('a(?<n>b)');
+        expect(['abb', 'acc']).toExactlyMatch({
+          pattern: r`(a)(?<n>b|c)\k<n>`,
+          rules: {dontCaptureGroup: true},
+        });
+      });
+
+      it('should be enabled by whole-pattern modifier (?C)', () => {
+        expect(toDetails('(?C)(a)(b)').pattern).toBe('ab');
+        expect(toDetails('(?C)(a)(?<n>b)').pattern).toBe('a(?<n>b)');
+        expect(['abb', 'acc']).toExactlyMatch(r`(?C)(a)(?<n>b|c)\k<n>`);
+        expect(() => toDetails(r`(?C)(a)\1`)).toThrow();
+      });
+
+      it('should throw for (?C) not at the start of the pattern', () => {
+        expect(() => toDetails('a(?C)')).toThrow();
+        expect(() => toDetails('((?C))')).toThrow();
+        expect(() => toDetails('(?C:a)')).toThrow();
+      });
+
+      it('should throw if combined with captureGroup', () => {
+        expect(() => toDetails('', {rules: {captureGroup: true, dontCaptureGroup: true}})).toThrow();
+        expect(() => toDetails('(?C)', {rules: {captureGroup: true}})).toThrow();
+      });
+    });
+
+    describe('findLongest', () => {
+      it('should find the longest match among top-level alternatives', () => {
+        expect(['ab', 'abc']).toExactlyMatch({pattern: 'a|abc|ab', rules: {findLongest: true}});
+        expect('ab').not.toExactlyMatch('a|ab');
+      });
+
+      it('should find the longest match at the leftmost match position', () => {
+        const re = toRegExp('b|bc|xb', {rules: {findLongest: true}});
+        expect(re.exec('xbc')[0]).toBe('xb');
+      });
+
+      it('should use the first alternative when matches have the same length', () => {
+        expect(toRegExp('(a)|(.)', {rules: {findLongest: true}}).exec('a')[1]).toBe('a');
+      });
+
+      it('should preserve captures and group names from the longest match', () => {
+        expect([...toRegExp('(a)|(a)(b)', {rules: {findLongest: true}}).exec('ab')]).toEqual(['ab', undefined, 'a', 'b']);
+        expect(toRegExp('(?<n>a)|(?<m>ab)', {rules: {findLongest: true}}).exec('ab').groups).toEqual(
+          jasmine.objectContaining({n: undefined, m: 'ab'})
+        );
+      });
+
+      it('should advance lastIndex past the longest match', () => {
+        const re = toRegExp('a|ab|b', {global: true, rules: {findLongest: true}});
+        expect('aabab'.match(re)).toEqual(['a', 'ab', 'ab']);
+        expect('aabab'.replace(re, '-')).toBe('---');
+      });
+
+      it('should be enabled by whole-pattern modifier (?L)', () => {
+        expect('ab').toExactlyMatch('(?L)a|ab');
+        expect('abc').toExactlyMatch('(?L)[a|]|a[b|]|abc');
+      });
+
+      it('should throw for (?L) not at the start of the pattern', () => {
+        expect(() => toDetails('a(?L)')).toThrow();
+        expect(() => toDetails('(?I)(?L)')).toThrow();
+      });
+
+      it('should throw with strict accuracy for choices other than top-level alternation', () => {
+        const opts = {accuracy: 'strict', rules: {findLongest: true}};
+        [ '(?:a|ab)+',
+          'a*?',
+          'a|b+',
+          '(?=a|ab)',
+          '(?~ab)',
+          r`a\g<0>?`,
+        ].forEach(pattern => {
+          expect(() => toDetails(pattern, opts)).toThrow();
+        });
+        [ 'a|ab',
+          'a{2}|b++',
+          '(a)(?(1)b|c)',
+        ].forEach(pattern => {
+          expect(() => toDetails(pattern, opts)).not.toThrow();
+        });
+      });
+
+      it('should throw for top-level alternation if avoiding the subclass', () => {
+        expect(() => toDetails('(?L)a|ab', {avoidSubclass: true})).toThrow();
+        expect(() => toDetails('(?L)a(?:b|c)', {avoidSubclass: true})).not.toThrow();
+      });
+    });
+
+    describe('ignoreCaseIsAscii', () => {
+      it('should limit case-insensitive matching to ASCII letters', () => {
+        const opts = {flags: 'i', rules: {ignoreCaseIsAscii: true}};
+        expect(['k', 'K']).toExactlyMatch({pattern: 'k', ...opts});
+        expect(['s', 'S']).toExactlyMatch({pattern: 's', ...opts});
+        expect('K').not.toExactlyMatch({pattern: 'k', ...opts});
+        expect('ſ').not.toExactlyMatch({pattern: 's', ...opts});
+        expect('É').not.toExactlyMatch({pattern: 'é', ...opts});
+      });
+
+      it('should not limit case-insensitive matching to ASCII within char classes', () => {
+        const opts = {flags: 'i', maxTestTarget: maxTestTargetForFlagGroups, rules: {ignoreCaseIsAscii: true}};
+        expect(['k', 'K', 'K', 's', 'S', 'ſ']).toExactlyMatch({pattern: '[ks]', ...opts});
+        expect(['K', 'Z', 'K']).toExactlyMatch({pattern: '[a-z]', ...opts});
+        expect('K').toExactlyMatch({pattern: '[k-l]', ...opts});
+        expect('É').toExactlyMatch({pattern: '[é]', ...opts});
+        expect(['k', 'K']).not.toExactlyMatch({pattern: '[^K]', ...opts});
+        expect(['ss', 'ẞ']).toExactlyMatch({pattern: '[ß]', ...opts});
+        expect('a').toExactlyMatch({...opts, pattern: '[[:upper:]]', maxTestTarget: null, minTestTarget: minTestTargetForFlagGroups});
+        expect(() => toDetails('[[:upper:]]', {flags: 'i', rules: {ignoreCaseIsAscii: true}, target: 'ES2024'})).toThrow();
+      });
+
+      it('should match case-insensitive chars in class intersection', () => {
+        const opts = {minTestTarget: 'ES2024', maxTestTarget: maxTestTargetForFlagGroups};
+        expect(['b', 'B']).toExactlyMatch({pattern: '(?I)(?i)[b&&[a-z]]', ...opts});
+        expect('c').not.toExactlyMatch({pattern: '(?I)(?i)[b&&[a-z]]', ...opts});
+        expect(['k', 'K', 'K']).toExactlyMatch({pattern: '(?I)(?i)[k&&[a-z]]', ...opts});
+      });
+
+      it('should not enable case insensitivity by itself', () => {
+        expect('K').not.toExactlyMatch({pattern: 'k', rules: {ignoreCaseIsAscii: true}});
+      });
+
+      it('should apply to flag modifiers', () => {
+        const opts = {rules: {ignoreCaseIsAscii: true}};
+        expect('Ab').toExactlyMatch({pattern: '(?i)a(?-i)b', ...opts});
+        expect('AB').not.toExactlyMatch({pattern: '(?i)a(?-i)b', ...opts});
+        expect('K').not.toExactlyMatch({pattern: '(?i:k)', ...opts});
+      });
+
+      it('should not apply case insensitivity to Unicode properties', () => {
+        expect('a').not.toExactlyMatch({pattern: r`\p{Lu}`, flags: 'i', rules: {ignoreCaseIsAscii: true}});
+      });
+
+      it('should match case-insensitive backrefs with target ES2025', () => {
+        expect(['aa', 'aA']).toExactlyMatch({pattern: r`(?I)(?i)(a)\1`, minTestTarget: minTestTargetForFlagGroups});
+        expect(() => toDetails(r`(?I)(?i)(a)\1`, {target: 'ES2024'})).toThrow();
+        expect(() => toDetails(r`(?I)(?i)(a)(?-i)\1`, {target: 'ES2024'})).not.toThrow();
+      });
+
+      it('should throw for case-insensitive backrefs with strict accuracy', () => {
+        expect(() => toDetails(r`(a)\1`, {
+          accuracy: 'strict',
+          flags: 'i',
+          rules: {ignoreCaseIsAscii: true},
+        })).toThrow();
+        expect(() => toDetails(r`(a)(?-i)\1`, {
+          accuracy: 'strict',
+          flags: 'i',
+          rules: {ignoreCaseIsAscii: true},
+        })).not.toThrow();
+      });
+
+      it('should be enabled by whole-pattern modifier (?I)', () => {
+        expect(['k', 'K']).toExactlyMatch({pattern: '(?I)k', flags: 'i'});
+        expect('K').not.toExactlyMatch({pattern: '(?I)k', flags: 'i'});
+        expect('ſ').not.toExactlyMatch('(?I)(?i)s');
+      });
+
+      it('should throw for (?I) not at the start of the pattern', () => {
+        expect(() => toDetails('a(?I)')).toThrow();
+        expect(() => toDetails('(?C)(?I)')).toThrow();
+        expect(() => toDetails('(?I:a)')).toThrow();
+      });
+    });
+
     describe('ignoreUnsupportedGAnchors', () => {
       it(r`should ignore unsupported uses of \G`, () => {
         const patterns = [
-          r`\Ga|b`,
-          r`a|\Gb`,
+          r`\Ga|b*\Gc`,
+          r`(?:\Ga|b)c`,
           r`(\G|a)b`,
         ];
         patterns.forEach(pattern => {
@@ -169,7 +397,11 @@ describe('Options', () => {
       it(r`should not ignore \G in parsing and validation`, () => {
         expect(() => toDetails(r`a\G`, {rules: {ignoreUnsupportedGAnchors: true}})).not.toThrow();
         expect(() => toDetails(r`a\G+`, {rules: {ignoreUnsupportedGAnchors: true}})).toThrow();
-        expect(() => toDetails(r`\c\GA`, {rules: {ignoreUnsupportedGAnchors: true}})).toThrow();
+        // Control char with escaped identifier `\G`
+        expect('\x07A').toExactlyMatch({
+          pattern: r`\c\GA`,
+          rules: {ignoreUnsupportedGAnchors: true},
+        });
         expect('aa0').toExactlyMatch({
           pattern: r`(a)\1\G0`,
           rules: {ignoreUnsupportedGAnchors: true},
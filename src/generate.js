@@ -1,7 +1,7 @@
 import {getOptions} from './options.js';
 import {AstAssertionKinds, AstCharacterSetKinds, AstTypes} from './parse.js';
 import {traverse} from './traverse.js';
-import {getIgnoreCaseMatchChars, UnicodePropertiesWithSpecificCase} from './unicode.js';
+import {CharsByMultiCharCaseFold, getCaseFold, getIgnoreCaseMatchChars, MultiCharCaseFolds, TurkicCaseFolds, UnicodePropertiesWithSpecificCase} from './unicode.js';
 import {cp, getNewCurrentFlags, isMinTarget, r} from './utils.js';
 import {isLookaround} from './utils-ast.js';
 import {emulationGroupMarker} from 'regex/internals';
@@ -14,6 +14,13 @@ Generates a Regex+ compatible `pattern`, `flags`, and `options` from a Regex+ AS
   pattern: string;
   flags: string;
   options: Object;
+  calloutPoints?: Array<{
+    pattern: string;
+    name?: string;
+    tag?: string;
+    args?: Array<string>;
+    contents?: string;
+  }>;
 }}
 */
 function generate(ast, options) {
@@ -25,28 +32,48 @@ function generate(ast, options) {
     throw new Error('Invalid recursionLimit; use 2-20');
   }
 
+  // With Onig option `ONIG_OPTION_IGNORECASE_IS_ASCII`, JS flag i can't be used since it applies
+  // Unicode case folding, so case insensitivity is always applied via ASCII case expansion
+  const ignoreCaseIsAscii = !!ast.flags.ignoreCaseIsAscii;
+  // ASCII ignore-case takes precedence over Turkic case folding since it doesn't use Unicode case
+  // folding at all
+  const turkicCaseFold = opts.caseFold === 'turkic' && !ignoreCaseIsAscii;
+
   // If the output can't use flag groups, we need a pre-pass to check for the use of chars with
   // case in case sensitive/insensitive states. This minimizes the need for case expansions (though
   // expansions are lossless, even given Unicode case complexities) and allows supporting case
-  // insensitive backrefs in more cases
+  // insensitive backrefs in more cases. With Turkic case folding, the pre-pass also checks whether
+  // the chars with Turkic-specific folds are used case-insensitively
   // [TODO] Consider gathering this data in the transformer's final traversal to avoid work here
   let hasCaseInsensitiveNode = null;
   let hasCaseSensitiveNode = null;
-  if (!minTargetEs2025) {
+  let hasTurkicCaseFoldNode = null;
+  if ((!minTargetEs2025 || turkicCaseFold) && !ignoreCaseIsAscii) {
     const iStack = [ast.flags.ignoreCase];
     traverse({node: ast}, {
       getCurrentModI: () => iStack.at(-1),
       popModI() {iStack.pop()},
       pushModI(isIOn) {iStack.push(isIOn)},
       setHasCasedChar() {
+        if (minTargetEs2025) {
+          return;
+        }
         if (iStack.at(-1)) {
           hasCaseInsensitiveNode = true;
         } else {
           hasCaseSensitiveNode = true;
         }
       },
+      setHasTurkicChar() {
+        if (turkicCaseFold && iStack.at(-1)) {
+          hasTurkicCaseFoldNode = true;
+        }
+      },
     }, FlagModifierVisitor);
   }
+  // JS flag i can't apply Turkic case folding, so when it's needed, case insensitivity is applied
+  // via case expansion
+  const useTurkicCaseFold = !!hasTurkicCaseFoldNode;
 
   const appliedGlobalFlags = {
     dotAll: ast.flags.dotAll,
@@ -54,24 +81,31 @@ function generate(ast, options) {
     //   used (to avoid unnecessary node expansion).
     // - Turn global flag i off if a case sensitive node was used (since case sensitivity can't be
     //   forced without the use of ES2025 flag groups)
-    ignoreCase: !!((ast.flags.ignoreCase || hasCaseInsensitiveNode) && !hasCaseSensitiveNode),
+    ignoreCase: !ignoreCaseIsAscii && !useTurkicCaseFold &&
+      !!((ast.flags.ignoreCase || hasCaseInsensitiveNode) && !hasCaseSensitiveNode),
   };
   let lastNode = null;
   const state = {
     accuracy: opts.accuracy,
     appliedGlobalFlags,
     avoidSubclass: opts.avoidSubclass,
+    calloutPoints: [],
     captureMap: new Map(),
     currentFlags: {
       dotAll: ast.flags.dotAll,
       ignoreCase: ast.flags.ignoreCase,
     },
+    ignoreCaseIsAscii,
     inCharClass: false,
+    inLookbehind: false,
     lastNode,
     recursionLimit,
-    useAppliedIgnoreCase: !!(!minTargetEs2025 && hasCaseInsensitiveNode && hasCaseSensitiveNode),
+    turkicCaseFold,
+    useAppliedIgnoreCase: ignoreCaseIsAscii || useTurkicCaseFold ||
+      !!(!minTargetEs2025 && hasCaseInsensitiveNode && hasCaseSensitiveNode),
     useFlagMods: minTargetEs2025,
     useFlagV: minTargetEs2024,
+    useTurkicCaseFold,
     verbose: opts.verbose,
   };
   function gen(node) {
@@ -86,11 +120,14 @@ function generate(ast, options) {
           options: {...node.options},
         };
       case AstTypes.Alternative:
-        return node.elements.map(gen).join('');
+        return genAlternative(node, state, gen);
       case AstTypes.Assertion:
         return genAssertion(node, state, gen);
       case AstTypes.Backreference:
         return genBackreference(node, state);
+      case AstTypes.Callout:
+        // Supported uses of user-defined callouts are handled by their alternative
+        throw new Error(`Uses callout "${node.name ? `(*${node.name})` : '(?{…})'}" in a way that's unsupported`);
       case AstTypes.CapturingGroup:
         return genCapturingGroup(node, state, gen);
       case AstTypes.Character:
@@ -130,6 +167,17 @@ function generate(ast, options) {
     result.options.disable.v = true;
     result.options.unicodeSetsPlugin = null;
   }
+  if (state.calloutPoints.length) {
+    // Remove the callout markers, and give each callout point the pattern that precedes it, with
+    // the groups it's nested in closed
+    const markerRe = /\uDFFF\d+\uDFFF/g;
+    result.calloutPoints = state.calloutPoints.map(({marker, closers, ...callout}) => ({
+      pattern: result.pattern.slice(0, result.pattern.indexOf(marker)).replace(markerRe, '') +
+        ')'.repeat(closers),
+      ...callout,
+    }));
+    result.pattern = result.pattern.replace(markerRe, '');
+  }
   return result;
 }
 
@@ -152,17 +200,36 @@ const FlagModifierVisitor = {
     // done is not calling `setHasCasedChar` if the reffed group doesn't contain a char with case
     // or most kinds of char sets)
     state.setHasCasedChar();
+    // Likewise, assume the backref can match chars with Turkic-specific case folds
+    state.setHasTurkicChar();
   },
   Character({node}, state) {
-    if (charHasCase(cp(node.value))) {
+    const char = cp(node.value);
+    if (charHasCase(char)) {
       state.setHasCasedChar();
     }
+    if (TurkicCaseFolds.has(char)) {
+      state.setHasTurkicChar();
+    }
+  },
+  CharacterClass({node}, state) {
+    // Negated classes can match chars with Turkic-specific case folds even if they don't list them
+    if (node.negate) {
+      state.setHasTurkicChar();
+    }
   },
   CharacterClassRange({node, skip}, state) {
     skip();
-    if (getCasesOutsideCharClassRange(node, {firstOnly: true}).length) {
+    if (
+      getCasesOutsideCharClassRange(node, {firstOnly: true}).length ||
+      // Case-insensitive ranges can match the multichar case folds of chars they include
+      getMultiCharCaseFoldCharsInRange(node).length
+    ) {
       state.setHasCasedChar();
     }
+    if ([...TurkicCaseFolds.keys()].some(char => isCodePointInRange(char.codePointAt(0), node))) {
+      state.setHasTurkicChar();
+    }
   },
   CharacterSet({node}, state) {
     if (
@@ -171,9 +238,20 @@ const FlagModifierVisitor = {
     ) {
       state.setHasCasedChar();
     }
+    if (node.negate || !NonLetterCharacterSetKinds.has(node.kind)) {
+      state.setHasTurkicChar();
+    }
   },
 };
 
+// Char sets that can't match letters (including those with Turkic-specific case folds) unless
+// negated. Properties and POSIX classes are assumed to potentially match letters
+const NonLetterCharacterSetKinds = new Set([
+  AstCharacterSetKinds.digit,
+  AstCharacterSetKinds.hex,
+  AstCharacterSetKinds.space,
+]);
+
 const BaseEscapeChars = new Set([
   '$', '(', ')', '*', '+', '.', '?', '[', '\\', ']', '^', '{', '|', '}',
 ]);
@@ -199,16 +277,57 @@ const CharCodeEscapeMap = new Map([
   [0xFEFF, r`\uFEFF`], // ZWNBSP/BOM
 ]);
 
+const asciiLetterRe = /^[A-Za-z]$/;
 const casedRe = /^\p{Cased}$/u;
-function charHasCase(char) {
-  return casedRe.test(char);
+function charHasCase(char, asciiOnly) {
+  return (asciiOnly ? asciiLetterRe : casedRe).test(char);
+}
+
+function genAlternative(node, state, gen) {
+  // User-defined callouts are supported at the top level of patterns without top-level
+  // alternation, including within nonquantified groups there. Rather than generating them, mark
+  // their positions so the subclass can split the pattern at them
+  const elements = getFoldSequenceElements(node.elements, state);
+  let str = '';
+  for (let i = 0; i < elements.length; i++) {
+    const el = elements[i];
+    const folded = getMultiCharCaseFoldedChars(elements, i, state);
+    if (folded) {
+      // Onig compares case-insensitive literal chars using full case folding, so e.g. `(?i)ss`
+      // also matches `ß`. Like Onig, sequences are found from the left, with longest first
+      str += `(?:${genMultiCharCaseFold(folded.fold, folded.nodes.map(gen).join(''), state)})`;
+      i += folded.nodes.length - 1;
+    } else if (el.type === AstTypes.Callout && isCalloutAlternative(node)) {
+      const {name, tag, args, contents} = el;
+      // Lone surrogates are always escaped in output, so they can't conflict with the pattern
+      const marker = `\uDFFF${state.calloutPoints.length}\uDFFF`;
+      str += marker;
+      state.calloutPoints.push({
+        marker,
+        // Number of wrapping groups to close for the pattern before the callout
+        closers: 0,
+        ...(name && {name}),
+        ...(tag && {tag}),
+        ...(args && {args}),
+        ...(contents !== undefined && {contents}),
+      });
+    } else {
+      str += gen(el);
+    }
+  }
+  return str;
 }
 
-function genAssertion(node, _, gen) {
+function genAssertion(node, state, gen) {
   const {kind, negate, alternatives} = node;
   if (isLookaround(node)) {
-    const prefix = `${kind === AstAssertionKinds.lookahead ? '' : '<'}${negate ? '!' : '='}`;
-    return `(?${prefix}${alternatives.map(gen).join('|')})`;
+    const isLookbehind = kind === AstAssertionKinds.lookbehind;
+    const prefix = `${isLookbehind ? '<' : ''}${negate ? '!' : '='}`;
+    const {inLookbehind} = state;
+    state.inLookbehind ||= isLookbehind;
+    const contents = alternatives.map(gen).join('|');
+    state.inLookbehind = inLookbehind;
+    return `(?${prefix}${contents})`;
   }
   // Can always use `^` and `$` for string boundaries since JS flag m is never relied on; Onig uses
   // different line break chars
@@ -228,10 +347,36 @@ function genAssertion(node, _, gen) {
   throw new Error(`Unexpected assertion kind "${kind}"`);
 }
 
-function genBackreference({ref}, state) {
+function genBackreference({ref, _name}, state) {
   if (typeof ref !== 'number') {
     throw new Error('Unexpected named backref in transformed AST');
   }
+  // The transformer sets `_name` for some backrefs with a recursion level, for `regex-recursion`
+  const backref = _name ? r`\k<${_name}>` : '\\' + ref;
+  if (state.ignoreCaseIsAscii && state.currentFlags.ignoreCase) {
+    // JS has no ASCII-only case-insensitive backrefs. With flag groups, fall back to Unicode case
+    // folding, which differs only when the captured text includes non-ASCII chars with case.
+    // Without flag groups, JS backrefs can't be made case-insensitive since flag i isn't used
+    if (!state.useFlagMods) {
+      throw new Error('Use of case-insensitive backref with ASCII ignore-case requires target ES2025');
+    }
+    if (state.accuracy === 'strict') {
+      throw new Error('Use of case-insensitive backref with ASCII ignore-case requires non-strict accuracy');
+    }
+    return `(?i:${backref})`;
+  }
+  if (state.useTurkicCaseFold && state.currentFlags.ignoreCase) {
+    // JS has no Turkic case-insensitive backrefs. With flag groups, fall back to default Unicode
+    // case folding, which differs only when the captured text includes dotted or dotless i.
+    // Without flag groups, JS backrefs can't be made case-insensitive since flag i isn't used
+    if (!state.useFlagMods) {
+      throw new Error('Use of case-insensitive backref with Turkic case folding requires target ES2025');
+    }
+    if (state.accuracy === 'strict') {
+      throw new Error('Use of case-insensitive backref with Turkic case folding requires non-strict accuracy');
+    }
+    return `(?i:${backref})`;
+  }
   if (
     !state.useFlagMods &&
     state.accuracy === 'strict' &&
@@ -240,15 +385,16 @@ function genBackreference({ref}, state) {
   ) {
     throw new Error('Use of case-insensitive backref to case-sensitive group requires target ES2025 or non-strict accuracy');
   }
-  return '\\' + ref;
+  return backref;
 }
 
-function genCapturingGroup({name, number, alternatives, _originNumber}, state, gen) {
+function genCapturingGroup({name, number, alternatives, _keep, _originNumber}, state, gen) {
   state.captureMap.set(number, {ignoreCase: state.currentFlags.ignoreCase});
   return `(${
     name ? `?<${name}>` : ''
   }${
-    !state.avoidSubclass && _originNumber ?
+    // Captures that mark the position of `\K` for subclass strategy `keep` are emulation groups
+    !state.avoidSubclass && (_keep || _originNumber) ?
       // All captures from/within expanded subroutines are marked as emulation groups, and some are
       // specially marked as emulation groups with transfer. `number` is based on the pattern after
       // subroutine expansion, whereas `_originNumber` points to the origin capture of an expanded
@@ -263,6 +409,13 @@ function genCapturingGroup({name, number, alternatives, _originNumber}, state, g
 
 function genCharacter({value}, state) {
   const char = cp(value);
+  const fold = (!state.inCharClass && !state.inLookbehind && isMultiCharCaseFoldApplied(state)) ?
+    getMultiCharCaseFold(char, state.turkicCaseFold) :
+    null;
+  if (fold) {
+    // Onig's `(?i)ß` also matches `ss`
+    return `(?:${genMultiCharCaseFold(fold, null, state)})`;
+  }
   const escaped = getCharEscape(value, {
     isAfterBackref: state.lastNode.type === AstTypes.Backreference,
     inCharClass: state.inCharClass,
@@ -271,8 +424,15 @@ function genCharacter({value}, state) {
   if (escaped !== char) {
     return escaped;
   }
-  if (state.useAppliedIgnoreCase && state.currentFlags.ignoreCase && charHasCase(char)) {
-    const cases = getIgnoreCaseMatchChars(char);
+  if (
+    state.useAppliedIgnoreCase &&
+    state.currentFlags.ignoreCase &&
+    charHasCase(char, state.ignoreCaseIsAscii)
+  ) {
+    const cases = getIgnoreCaseMatchChars(char, {
+      asciiOnly: state.ignoreCaseIsAscii,
+      turkic: state.turkicCaseFold,
+    });
     return state.inCharClass ?
       cases.join('') :
       (cases.length > 1 ? `[${cases.join('')}]` : cases[0]);
@@ -280,13 +440,41 @@ function genCharacter({value}, state) {
   return char;
 }
 
-function genCharacterClass({negate, parent, elements}, state, gen) {
+function genCharacterClass(node, state, gen) {
+  const {negate, parent, elements} = node;
   const genClass = () => `[${negate ? '^' : ''}${elements.map(gen).join('')}]`;
+  if (!state.inCharClass && state.ignoreCaseIsAscii && state.currentFlags.ignoreCase) {
+    // Onig doesn't limit case insensitivity to ASCII within char classes, so e.g. `(?I)(?i)[k]`
+    // matches the Kelvin sign. With flag groups, use JS flag i for the class; else apply Unicode
+    // case expansion
+    const {useAppliedIgnoreCase} = state;
+    state.ignoreCaseIsAscii = false;
+    state.useAppliedIgnoreCase = !state.useFlagMods;
+    const result = genCharacterClass(node, state, gen);
+    state.ignoreCaseIsAscii = true;
+    state.useAppliedIgnoreCase = useAppliedIgnoreCase;
+    return state.useFlagMods ? `(?i:${result})` : result;
+  }
   if (!state.inCharClass) {
     // For the outermost char class, set state
     state.inCharClass = true;
     const result = genClass();
     state.inCharClass = false;
+    // Onig's non-negated classes also match the multichar case folds of chars they include (so
+    // e.g. `(?i)[ß]` matches `ss`), tried after the class matches a single char
+    const foldedChars = (!negate && isMultiCharCaseFoldApplied(state)) ?
+      getMultiCharCaseFoldCharsInClass(node, state) :
+      [];
+    if (foldedChars.length) {
+      const folds = new Set(foldedChars.map(char => getCaseFold(char, state.turkicCaseFold)));
+      return `(?:${result}|${[...folds].map(fold => {
+        const chars = getCharsWithMultiCharCaseFold(fold, state.turkicCaseFold);
+        const otherChars = chars.filter(char => (
+          !foldedChars.some(included => getIgnoreCaseMatchChars(included).includes(char))
+        ));
+        return genMultiCharCaseFold(fold, null, state, otherChars);
+      }).join('|')})`;
+    }
     return result;
   }
   // No first element for implicit class in empty intersection like `[&&]`
@@ -305,7 +493,14 @@ function genCharacterClass({negate, parent, elements}, state, gen) {
         // JS doesn't allow intersection with union or ranges
         elements.length === 1 &&
         firstType !== AstTypes.CharacterClass &&
-        firstType !== AstTypes.CharacterClassRange
+        firstType !== AstTypes.CharacterClassRange &&
+        // Case-insensitive chars are expanded to a union of their cases if ignore-case is applied
+        !(
+          firstType === AstTypes.Character &&
+          state.useAppliedIgnoreCase &&
+          state.currentFlags.ignoreCase &&
+          charHasCase(cp(elements[0].value), state.ignoreCaseIsAscii)
+        )
       )
     )
   ) {
@@ -332,7 +527,10 @@ function genCharacterClassRange(node, state) {
   const extraChars = new Set();
   if (state.useAppliedIgnoreCase && state.currentFlags.ignoreCase) {
     // [TODO] Avoid duplication by considering other chars in the parent char class when expanding
-    const charsOutsideRange = getCasesOutsideCharClassRange(node);
+    const charsOutsideRange = getCasesOutsideCharClassRange(node, {
+      asciiOnly: state.ignoreCaseIsAscii,
+      turkic: state.turkicCaseFold,
+    });
     const ranges = getCodePointRangesFromChars(charsOutsideRange);
     ranges.forEach(value => {
       extraChars.add(
@@ -360,6 +558,8 @@ function genCharacterSet({kind, negate, value, key}, state) {
     if (
       state.useAppliedIgnoreCase &&
       state.currentFlags.ignoreCase &&
+      // Onig doesn't apply ASCII ignore-case to properties
+      !state.ignoreCaseIsAscii &&
       UnicodePropertiesWithSpecificCase.has(value)
     ) {
       // Support for this would require heavy Unicode data. Could change e.g. `\p{Lu}` to `\p{LC}`
@@ -397,18 +597,43 @@ function genGroup({atomic, flags, parent, alternatives}, state, gen) {
   if (flags) {
     state.currentFlags = getNewCurrentFlags(currentFlags, flags);
   }
+  const numPriorCalloutPoints = state.calloutPoints.length;
   const contents = alternatives.map(gen).join('|');
+  const prefix = getGroupPrefix(atomic, flags, {
+    useFlagI: !state.ignoreCaseIsAscii && !state.useTurkicCaseFold,
+    useFlagMods: state.useFlagMods,
+  });
   const result = (
     !state.verbose &&
     alternatives.length === 1 &&
     parent.type !== AstTypes.Quantifier &&
-    !atomic &&
-    (!state.useFlagMods || !flags)
-   ) ? contents : `(?${getGroupPrefix(atomic, flags, state.useFlagMods)}${contents})`;
+    prefix === ':'
+   ) ? contents : `(?${prefix}${contents})`;
+  if (result !== contents) {
+    state.calloutPoints.slice(numPriorCalloutPoints).forEach(point => point.closers++);
+  }
   state.currentFlags = currentFlags;
   return result;
 }
 
+/**
+Generates alternatives that match strings with the given multichar case fold: chars that match the
+fold's chars individually (`foldedStr` if provided), or any single char with the same fold.
+*/
+function genMultiCharCaseFold(fold, foldedStr, state, chars) {
+  chars ??= getCharsWithMultiCharCaseFold(fold, state.turkicCaseFold);
+  foldedStr ??= [...fold].map(char => genCharacter({value: char.codePointAt(0)}, state)).join('');
+  const escOpts = {
+    isAfterBackref: false,
+    inCharClass: true,
+    useFlagV: state.useFlagV,
+  };
+  const charsStr = chars.map(char => getCharEscape(char.codePointAt(0), escOpts)).join('');
+  return chars.length ?
+    `${foldedStr}|${chars.length > 1 ? `[${charsStr}]` : charsStr}` :
+    foldedStr;
+}
+
 function genRecursion({ref}, state) {
   const limit = state.recursionLimit;
   // Using the syntax supported by `regex-recursion`
@@ -420,22 +645,30 @@ Given a `CharacterClassRange` node, returns an array of chars that are a case va
 the range, and aren't already in the range.
 */
 function getCasesOutsideCharClassRange(node, options) {
+  const asciiOnly = !!options?.asciiOnly;
   const firstOnly = !!options?.firstOnly;
+  const turkic = !!options?.turkic;
   const min = node.min.value;
   const max = node.max.value;
   const found = [];
   // Avoid unneeded work. Assumptions (per Unicode 16):
   // - No case variants cross the Basic Multilingual Plane boundary
   // - No cased chars appear beyond the Supplementary Multilingual Plane
-  if ((min < 65 && (max === 0xFFFF || max >= 0x1FFFF)) || (min === 0x10000 && max >= 0x1FFFF)) {
+  if (
+    !asciiOnly &&
+    ((min < 65 && (max === 0xFFFF || max >= 0x1FFFF)) || (min === 0x10000 && max >= 0x1FFFF))
+  ) {
     return found;
   }
-  for (let i = min; i <= max; i++) {
+  // ASCII letters end at `z`
+  const lastToCheck = asciiOnly ? Math.min(max, 122) : max;
+  for (let i = min; i <= lastToCheck; i++) {
     const char = cp(i);
-    if (!charHasCase(char)) {
+    if (!charHasCase(char, asciiOnly)) {
       continue;
     }
-    const charsOutsideRange = getIgnoreCaseMatchChars(char).filter(caseOfChar => {
+    const cases = getIgnoreCaseMatchChars(char, {asciiOnly, turkic});
+    const charsOutsideRange = cases.filter(caseOfChar => {
       const num = caseOfChar.codePointAt(0);
       return num < min || num > max;
     });
@@ -459,6 +692,8 @@ function getCharEscape(codePoint, {isAfterBackref, inCharClass, useFlagV}) {
     codePoint < 32 || (codePoint > 126 && codePoint < 160) ||
     // Unicode planes 4-16; unassigned, special purpose, and private use area
     codePoint > 0x3FFFF ||
+    // Lone surrogates, which would otherwise form a pair with an adjacent surrogate
+    (codePoint >= 0xD800 && codePoint <= 0xDFFF) ||
     // Avoid corrupting a preceding backref by immediately following it with a literal digit
     (isAfterBackref && isDigitCharCode(codePoint))
   ) {
@@ -474,6 +709,12 @@ function getCharEscape(codePoint, {isAfterBackref, inCharClass, useFlagV}) {
   return (escapeChars.has(char) ? '\\' : '') + char;
 }
 
+// Returns the chars whose case fold is the given multichar fold
+function getCharsWithMultiCharCaseFold(fold, turkic) {
+  const chars = CharsByMultiCharCaseFold.get(fold) ?? [];
+  return chars.filter(char => getCaseFold(char, turkic) === fold);
+}
+
 function getCodePointRangesFromChars(chars) {
   const codePoints = chars.map(char => char.codePointAt(0)).sort((a, b) => a - b);
   const values = [];
@@ -491,23 +732,101 @@ function getCodePointRangesFromChars(chars) {
   return values;
 }
 
-function getGroupPrefix(atomic, flagMods, useFlagMods) {
+// Onig applies multichar case folds across the contents of noncapturing groups without flags or
+// alternation, so e.g. `(?i)(?:s)s` matches `ß`. Inline such groups, which aren't needed in output
+function getFoldSequenceElements(elements, state) {
+  if (state.inLookbehind || !isMultiCharCaseFoldApplied(state)) {
+    return elements;
+  }
+  return elements.flatMap(el => (
+    (el.type === AstTypes.Group && !el.atomic && !el.flags && el.alternatives.length === 1) ?
+      getFoldSequenceElements(el.alternatives[0].elements, state) :
+      el
+  ));
+}
+
+function getGroupPrefix(atomic, flagMods, {useFlagI, useFlagMods}) {
   if (atomic) {
     return '>';
   }
   let mods = '';
   if (flagMods && useFlagMods) {
     const {enable, disable} = flagMods;
-    mods =
-      (enable?.ignoreCase ? 'i' : '') +
-      (enable?.dotAll ? 's' : '') +
-      (disable ? '-' : '') +
-      (disable?.ignoreCase ? 'i' : '') +
+    const on =
+      (useFlagI && enable?.ignoreCase ? 'i' : '') +
+      (enable?.dotAll ? 's' : '');
+    const off =
+      (useFlagI && disable?.ignoreCase ? 'i' : '') +
       (disable?.dotAll ? 's' : '');
+    mods = `${on}${off ? `-${off}` : ''}`;
   }
   return `${mods}:`;
 }
 
+function getMultiCharCaseFold(char, turkic) {
+  const fold = getCaseFold(char, turkic);
+  return [...fold].length > 1 ? fold : null;
+}
+
+/**
+Returns the chars with multichar case folds (sorted by code point) that a non-negated char class
+includes via its literal chars, ranges, and nested non-negated classes.
+*/
+function getMultiCharCaseFoldCharsInClass(node, state) {
+  const chars = new Set();
+  for (const kid of node.elements) {
+    const {type} = kid;
+    if (type === AstTypes.Character || type === AstTypes.CharacterClassRange) {
+      getMultiCharCaseFoldCharsInRange(kid, state.turkicCaseFold).forEach(char => chars.add(char));
+    } else if (type === AstTypes.CharacterClass && !kid.negate) {
+      getMultiCharCaseFoldCharsInClass(kid, state).forEach(char => chars.add(char));
+    } else if (
+      state.accuracy === 'strict' &&
+      (type === AstTypes.CharacterClass || type === AstTypes.CharacterClassIntersection) &&
+      hasMultiCharCaseFoldChar(kid)
+    ) {
+      throw new Error('Use of case-insensitive multichar case folds in negated or intersected classes requires non-strict accuracy');
+    }
+  }
+  return [...chars].sort((a, b) => a.codePointAt(0) - b.codePointAt(0));
+}
+
+// Returns the chars with multichar case folds within a `Character` or `CharacterClassRange` node
+function getMultiCharCaseFoldCharsInRange(node, turkic) {
+  return [...MultiCharCaseFolds.keys()].filter(char => (
+    isCodePointInRange(char.codePointAt(0), node) &&
+    !!getMultiCharCaseFold(char, turkic)
+  ));
+}
+
+/**
+Returns the longest sequence of case-insensitive `Character` nodes starting at the given index
+whose combined case fold is the multichar case fold of other chars, along with the fold.
+*/
+function getMultiCharCaseFoldedChars(elements, index, state) {
+  // Onig doesn't apply multichar case folds to literal chars within lookbehind
+  if (state.inLookbehind || !isMultiCharCaseFoldApplied(state)) {
+    return null;
+  }
+  // Multichar case folds are two or three chars long
+  for (let length = 3; length > 1; length--) {
+    const nodes = elements.slice(index, index + length);
+    if (
+      nodes.length === length &&
+      nodes.every(kid => (
+        kid.type === AstTypes.Character &&
+        !getMultiCharCaseFold(cp(kid.value), state.turkicCaseFold)
+      ))
+    ) {
+      const fold = nodes.map(kid => getCaseFold(cp(kid.value), state.turkicCaseFold)).join('');
+      if (getCharsWithMultiCharCaseFold(fold, state.turkicCaseFold).length) {
+        return {nodes, fold};
+      }
+    }
+  }
+  return null;
+}
+
 function getQuantifierStr({min, max, greedy, possessive}) {
   let base;
   if (!min && max === 1) {
@@ -524,10 +843,50 @@ function getQuantifierStr({min, max, greedy, possessive}) {
   return base + (possessive ? '+' : (greedy ? '' : '?'));
 }
 
+function hasMultiCharCaseFoldChar(node) {
+  return (node.classes ?? node.elements).some(kid => (
+    (kid.type === AstTypes.Character || kid.type === AstTypes.CharacterClassRange) ?
+      getMultiCharCaseFoldCharsInRange(kid).length :
+      (kid.type === AstTypes.CharacterClass || kid.type === AstTypes.CharacterClassIntersection) &&
+        hasMultiCharCaseFoldChar(kid)
+  ));
+}
+
+// Whether the alternative is at the top level of a pattern without top-level alternation, or in a
+// nonatomic, nonquantified group with one alternative within such an alternative
+function isCalloutAlternative(node) {
+  const {parent} = node;
+  if (!parent) {
+    return false;
+  }
+  if (parent.type === AstTypes.Pattern) {
+    return parent.alternatives.length === 1;
+  }
+  return (
+    parent.type === AstTypes.Group &&
+    !parent.atomic &&
+    parent.alternatives.length === 1 &&
+    parent.parent?.type === AstTypes.Alternative &&
+    isCalloutAlternative(parent.parent)
+  );
+}
+
+// Checks whether a code point is within a `Character` or `CharacterClassRange` node
+function isCodePointInRange(codePoint, node) {
+  const min = node.min?.value ?? node.value;
+  const max = node.max?.value ?? node.value;
+  return codePoint >= min && codePoint <= max;
+}
+
 function isDigitCharCode(value) {
   return value > 47 && value < 58;
 }
 
+function isMultiCharCaseFoldApplied(state) {
+  // Onig doesn't apply multichar case folds with ASCII ignore-case
+  return state.currentFlags.ignoreCase && !state.ignoreCaseIsAscii;
+}
+
 export {
   generate,
 };
@@ -1,6 +1,6 @@
 import {transform} from './transform.js';
 import {generate} from './generate.js';
-import {Accuracy, getOptions, Target} from './options.js';
+import {Accuracy, CaseFold, getOptions, Target} from './options.js';
 import {parse} from './parse.js';
 import {EmulatedRegExp} from './subclass.js';
 import {tokenize} from './tokenize.js';
@@ -24,6 +24,8 @@ import {recursion} from 'regex-recursion';
 @typedef {{
   accuracy?: keyof Accuracy;
   avoidSubclass?: boolean;
+  callouts?: {[name: string]: (context: import('./subclass.js').CalloutContext) => boolean | void};
+  caseFold?: keyof CaseFold;
   flags?: string;
   global?: boolean;
   hasIndices?: boolean;
@@ -31,10 +33,17 @@ import {recursion} from 'regex-recursion';
     allowOrphanBackrefs?: boolean;
     asciiWordBoundaries?: boolean;
     captureGroup?: boolean;
+    dontCaptureGroup?: boolean;
+    findLongest?: boolean;
+    ignoreCaseIsAscii?: boolean;
     ignoreUnsupportedGAnchors?: boolean;
     recursionLimit?: number;
   };
   target?: keyof Target;
+  unicodeData?: {
+    blocks?: typeof import('./unicode-blocks.js').UnicodeBlocks;
+    graphemeClusterBreak?: typeof import('./unicode-grapheme-cluster-break.js').GraphemeClusterBreak;
+  };
   verbose?: boolean;
 }} OnigurumaToEsOptions
 */
@@ -52,7 +61,12 @@ Accepts an Oniguruma pattern and returns the details needed to construct an equi
 function toDetails(pattern, options) {
   const opts = getOptions(options);
   const avoidSubclass = opts.avoidSubclass;
-  const tokenized = tokenize(pattern, opts.flags, {captureGroup: opts.rules.captureGroup});
+  const tokenized = tokenize(pattern, opts.flags, {
+    captureGroup: opts.rules.captureGroup,
+    dontCaptureGroup: opts.rules.dontCaptureGroup,
+    findLongest: opts.rules.findLongest,
+    ignoreCaseIsAscii: opts.rules.ignoreCaseIsAscii,
+  });
   const onigurumaAst = parse(tokenized, {
     skipBackrefValidation: opts.rules.allowOrphanBackrefs,
     verbose: opts.verbose,
@@ -62,18 +76,32 @@ function toDetails(pattern, options) {
     asciiWordBoundaries: opts.rules.asciiWordBoundaries,
     avoidSubclass,
     bestEffortTarget: opts.target,
+    callouts: opts.callouts,
     ignoreUnsupportedGAnchors: opts.rules.ignoreUnsupportedGAnchors,
+    unicodeData: opts.unicodeData,
   });
   const generated = generate(regexAst, opts);
   const pluginData = {useEmulationGroups: !avoidSubclass};
+  const compile = p => atomic(possessive(recursion(p, pluginData)), pluginData);
   const result = {
-    pattern: atomic(possessive(recursion(generated.pattern, pluginData)), pluginData),
+    pattern: compile(generated.pattern),
     flags: `${opts.hasIndices ? 'd' : ''}${opts.global ? 'g' : ''}${generated.flags}${generated.options.disable.v ? 'u' : 'v'}`,
   };
   const useEmulationGroups = !avoidSubclass && result.pattern.includes(emulationGroupMarker);
   const strategy = regexAst._strategy;
-  if (useEmulationGroups || strategy) {
+  // Each callout point gets the pattern that precedes it, which the subclass matches before
+  // calling the callout's function
+  const calloutPoints = generated.calloutPoints?.map(({pattern, ...callout}) => ({
+    pattern: compile(pattern),
+    ...callout,
+  }));
+  if (calloutPoints && strategy) {
+    throw new Error(`Uses user-defined callouts in a way that's unsupported`);
+  }
+  if (useEmulationGroups || strategy || calloutPoints) {
     result.options = {
+      ...(calloutPoints ? {callouts: opts.callouts, calloutPoints} : null),
+      ...(regexAst._searchStartAlts ? {searchStartAlts: regexAst._searchStartAlts} : null),
       ...(strategy ? {strategy} : null),
       ...(useEmulationGroups ? {useEmulationGroups} : null),
     };
@@ -88,6 +116,9 @@ Returns an Oniguruma AST generated from an Oniguruma pattern.
   flags?: string;
   rules?: {
     captureGroup?: boolean;
+    dontCaptureGroup?: boolean;
+    findLongest?: boolean;
+    ignoreCaseIsAscii?: boolean;
   };
 }} [options]
 @returns {import('./parse.js').OnigurumaAst}
@@ -95,7 +126,15 @@ Returns an Oniguruma AST generated from an Oniguruma pattern.
 function toOnigurumaAst(pattern, options) {
   const flags = options?.flags ?? '';
   const captureGroup = options?.rules?.captureGroup ?? false;
-  return parse(tokenize(pattern, flags, {captureGroup}));
+  const dontCaptureGroup = options?.rules?.dontCaptureGroup ?? false;
+  const findLongest = options?.rules?.findLongest ?? false;
+  const ignoreCaseIsAscii = options?.rules?.ignoreCaseIsAscii ?? false;
+  return parse(tokenize(pattern, flags, {
+    captureGroup,
+    dontCaptureGroup,
+    findLongest,
+    ignoreCaseIsAscii,
+  }));
 }
 
 // // Returns a Regex+ AST generated from an Oniguruma pattern
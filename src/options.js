@@ -5,6 +5,11 @@ const Accuracy = /** @type {const} */ ({
   strict: 'strict',
 });
 
+const CaseFold = /** @type {const} */ ({
+  default: 'default',
+  turkic: 'turkic',
+});
+
 const EsVersion = {
   ES2025: 2025,
   ES2024: 2024,
@@ -27,6 +32,9 @@ function getOptions(options) {
   if (options?.target !== undefined && !Target[options.target]) {
     throw new Error(`Unexpected target "${options.target}"`)
   }
+  if (options?.caseFold !== undefined && !CaseFold[options.caseFold]) {
+    throw new Error(`Unexpected caseFold "${options.caseFold}"`)
+  }
   // Set default values
   const opts = {
     // Sets the level of emulation rigor/strictness.
@@ -34,7 +42,13 @@ function getOptions(options) {
     // Disables advanced emulation that relies on returning a `RegExp` subclass, resulting in
     // certain patterns not being emulatable.
     avoidSubclass: false,
-    // Oniguruma flags; a string with `i`, `m`, `x`, `D`, `S`, `W` in any order (all optional).
+    // Functions called by user-defined callouts, keyed by callout name. Contents callouts `(?{…})`
+    // call function `contents`.
+    callouts: null,
+    // Case folding used with flag i. Using `turkic` matches Oniguruma compiled with
+    // `ONIGENC_CASE_FOLD_TURKISH_AZERI`, so e.g. `i` matches `İ` rather than `I`.
+    caseFold: 'default',
+    // Oniguruma flags; a string with `i`, `m`, `x`, `D`, `P`, `S`, `W` in any order (all optional).
     // Oniguruma's `m` is equivalent to JavaScript's `s` (`dotAll`).
     flags: '',
     // Include JavaScript flag `g` (`global`) in the result.
@@ -45,6 +59,10 @@ function getOptions(options) {
     // your environment. Later targets allow faster processing, simpler generated source, and
     // support for additional features.
     target: 'auto',
+    // Opt-in Unicode data that enables additional features. Provided by separate modules so it
+    // doesn't add weight for everyone; ex: `blocks` from `oniguruma-to-es/unicode-blocks` and
+    // `graphemeClusterBreak` from `oniguruma-to-es/unicode-grapheme-cluster-break`.
+    unicodeData: null,
     // Disables optimizations that simplify the pattern when it doesn't change the meaning.
     verbose: false,
     ...options,
@@ -58,6 +76,15 @@ function getOptions(options) {
       // named capture. This is Oniguruma option `ONIG_OPTION_CAPTURE_GROUP`; on by default in
       // `vscode-oniguruma`.
       captureGroup: false,
+      // Make unnamed groups noncapturing, even when there's no named capture. This is Oniguruma
+      // option `ONIG_OPTION_DONT_CAPTURE_GROUP`; also enabled by whole-pattern modifier `(?C)`.
+      dontCaptureGroup: false,
+      // Find the longest match among top-level alternatives, rather than the first. This is
+      // Oniguruma option `ONIG_OPTION_FIND_LONGEST`; also enabled by whole-pattern modifier `(?L)`.
+      findLongest: false,
+      // Limit case-insensitive matching to ASCII letters. This is Oniguruma option
+      // `ONIG_OPTION_IGNORECASE_IS_ASCII`; also enabled by whole-pattern modifier `(?I)`.
+      ignoreCaseIsAscii: false,
       // Remove unsupported uses of `\G`, rather than erroring.
       ignoreUnsupportedGAnchors: false,
       // Change the recursion depth limit from Oniguruma's `20` to an integer `2`–`20`.
@@ -73,6 +100,7 @@ function getOptions(options) {
 
 export {
   Accuracy,
+  CaseFold,
   EsVersion,
   getOptions,
   Target,
@@ -1,19 +1,22 @@
-import {TokenCharacterSetKinds, TokenDirectiveKinds, TokenGroupKinds, TokenTypes} from './tokenize.js';
+import {TokenCharacterSetKinds, TokenDirectiveKinds, TokenGroupKinds, TokenTextSegmentModes, TokenTypes} from './tokenize.js';
 import {traverse} from './traverse.js';
-import {JsUnicodePropertiesMap, JsUnicodePropertiesOfStringsMap, PosixProperties, slug} from './unicode.js';
+import {getJsUnicodeScriptName, getNearestUnicodePropertyName, JsUnicodePropertiesMap, JsUnicodePropertiesOfStringsMap, PosixProperties, slug} from './unicode.js';
 import {getOrCreate, r, throwIfNot} from './utils.js';
 import {hasOnlyChild} from './utils-ast.js';
 
 const AstTypes = {
+  AbsentFunction: 'AbsentFunction',
   Alternative: 'Alternative',
   Assertion: 'Assertion',
   Backreference: 'Backreference',
+  Callout: 'Callout',
   CapturingGroup: 'CapturingGroup',
   Character: 'Character',
   CharacterClass: 'CharacterClass',
   CharacterClassIntersection: 'CharacterClassIntersection',
   CharacterClassRange: 'CharacterClassRange',
   CharacterSet: 'CharacterSet',
+  Conditional: 'Conditional',
   Directive: 'Directive',
   Flags: 'Flags',
   Group: 'Group',
@@ -26,7 +29,15 @@ const AstTypes = {
   Recursion: 'Recursion',
 };
 
+const AstAbsentFunctionKinds = {
+  clearer: 'clearer',
+  expression: 'expression',
+  repeater: 'repeater',
+  stopper: 'stopper',
+};
+
 const AstAssertionKinds = {
+  grapheme_boundary: 'grapheme_boundary',
   line_end: 'line_end',
   line_start: 'line_start',
   lookahead: 'lookahead',
@@ -36,6 +47,7 @@ const AstAssertionKinds = {
   string_end_newline: 'string_end_newline',
   string_start: 'string_start',
   word_boundary: 'word_boundary',
+  word_segment_boundary: 'word_segment_boundary',
 };
 
 // Identical values
@@ -45,6 +57,7 @@ const AstDirectiveKinds = TokenDirectiveKinds;
 const AstVariableLengthCharacterSetKinds = {
   grapheme: 'grapheme',
   newline: 'newline',
+  word_segment: 'word_segment',
 };
 
 /**
@@ -75,6 +88,7 @@ function parse({tokens, flags, rules}, options) {
   const context = {
     capturingGroups: [],
     current: 0,
+    forwardBackrefs: [],
     hasNumberedRef: false,
     namedGroupsByName: new Map(),
     parent: null,
@@ -101,6 +115,13 @@ function parse({tokens, flags, rules}, options) {
         return createAssertionFromToken(token);
       case TokenTypes.Backreference:
         return parseBackreference(context);
+      case TokenTypes.Callout:
+        return createCallout(token.name, {
+          tag: token.tag,
+          args: token.args,
+          contents: token.contents,
+          direction: token.direction,
+        });
       case TokenTypes.Character:
         return createCharacter(token.value, {useLastValid: !!state.isCheckingRangeEnd});
       case TokenTypes.CharacterClassHyphen:
@@ -118,7 +139,7 @@ function parse({tokens, flags, rules}, options) {
       case TokenTypes.Subroutine:
         return parseSubroutine(context);
       case TokenTypes.VariableLengthCharacterSet:
-        return createVariableLengthCharacterSet(token.kind);
+        return createVariableLengthCharacterSet(token.kind, {textSegmentMode: token.textSegmentMode});
       default:
         throw new Error(`Unexpected token type "${token.type}"`);
     }
@@ -135,11 +156,23 @@ function parse({tokens, flags, rules}, options) {
     }
   }
   // `context` updated by preceding `walk` loop
-  const {capturingGroups, hasNumberedRef, namedGroupsByName, subroutines} = context;
+  const {capturingGroups, forwardBackrefs, hasNumberedRef, namedGroupsByName, subroutines} = context;
   // Validation that requires knowledge about the complete pattern
   if (hasNumberedRef && namedGroupsByName.size && !rules.captureGroup) {
     throw new Error('Numbered backref/subroutine not allowed when using named capture');
   }
+  for (const node of forwardBackrefs) {
+    if (node.ref > capturingGroups.length) {
+      // [WARNING] Skipping the error breaks assumptions and might create edge case issues;
+      // unfortunately this option is needed for TextMate grammars
+      if (context.skipBackrefValidation) {
+        delete node.forward;
+        node.orphan = true;
+      } else {
+        throw new Error(`Backref uses a group number that's not defined`);
+      }
+    }
+  }
   for (const {ref} of subroutines) {
     if (typeof ref === 'number') {
       // Relative nums are already resolved
@@ -161,56 +194,75 @@ function parse({tokens, flags, rules}, options) {
   return ast;
 }
 
-// Supported (if the backref appears to the right of the reffed capture's opening paren):
-// - `\k<name>`, `\k'name'`
+// Supported:
+// - `\k<name>`, `\k'name'` (if the backref appears to the right of the reffed capture's opening
+//   paren)
 // - When named capture not used:
 //   - `\n`, `\nn`, `\nnn`
 //   - `\k<n>`, `\k'n'
 //   - `\k<-n>`, `\k'-n'`
-// Unsupported:
-// - `\k<+n>`, `\k'+n'` - Note that, Unlike Oniguruma, Onigmo doesn't support this as special
-//   syntax and therefore considers it a valid group name.
-// - Backref with recursion level (with num or name): `\k<n+level>`, `\k<n-level>`, etc.
-//   (Onigmo also supports `\k<-n+level>`, `\k<-n-level>`, etc.)
+//   - `\k<+n>`, `\k'+n'` - Note that, unlike Oniguruma, Onigmo doesn't support this as special
+//     syntax and therefore considers it a valid group name
+//   - Numbered backrefs (but not relative backward backrefs) can come before their reffed group,
+//     in which case they're marked as `forward`
+// - Backref with recursion level (with name, num, or relative num): `\k<name+level>`,
+//   `\k<n-level>`, `\k<-n+level>`, etc.
 // Backrefs in Onig use multiplexing for duplicate group names (the rules can be complicated when
 // overlapping with subroutines), but a `Backreference`'s simple `ref` prop doesn't capture these
 // details so multiplexed ref pointers need to be derived when working with the AST
 function parseBackreference(context) {
   const {raw} = context.token;
   const hasKWrapper = /^\\k[<']/.test(raw);
-  const ref = hasKWrapper ? raw.slice(3, -1) : raw.slice(1);
+  let ref = hasKWrapper ? raw.slice(3, -1) : raw.slice(1);
+  let level;
+  if (hasKWrapper) {
+    // Level is relative to the recursion level of the backref
+    const withLevel = /^(?<ref>[-+]?[^+-]+)(?<level>[+-]\d+)$/.exec(ref);
+    if (withLevel) {
+      ref = withLevel.groups.ref;
+      level = +withLevel.groups.level;
+    }
+  }
   const fromNum = (num, isRelative = false) => {
     const numCapturesToLeft = context.capturingGroups.length;
+    let forward = false;
     let orphan = false;
-    // Note: It's not an error for numbered backrefs to come before their referenced group in Onig,
-    // but an error is the best path for this library because:
-    // 1. Most placements are mistakes and can never match (based on the Onig behavior for backrefs
-    //    to nonparticipating groups).
-    // 2. Erroring matches the behavior of named backrefs.
-    // 3. The edge cases where they're matchable rely on rules for backref resetting within
-    //    quantified groups that are different in JS and aren't emulatable. Note that it's not a
-    //    backref in the first place if using `\10` or higher and not as many capturing groups are
-    //    defined to the left (it's an octal or identity escape).
-    // [TODO] Ideally this would be refactored to include the backref in the AST when it's not an
-    // error in Onig (due to the reffed group being defined to the right), and the error handling
-    // would move to the transformer
     if (num > numCapturesToLeft) {
-      // [WARNING] Skipping the error breaks assumptions and might create edge case issues, since
-      // backrefs are required to come after their captures; unfortunately this option is needed
-      // for TextMate grammars
-      if (context.skipBackrefValidation) {
-        orphan = true;
+      // It's not an error for numbered backrefs to come before their referenced group in Onig, and
+      // they can match within quantified groups. Whether the reffed group exists is validated
+      // after parsing the full pattern, and participation is handled by the transformer. Note
+      // that it's not a backref in the first place if using `\10` or higher and not as many
+      // capturing groups are defined to the left (it's an octal or identity escape)
+      if (isRelative) {
+        // [WARNING] Skipping the error breaks assumptions and might create edge case issues, since
+        // backrefs are required to come after their captures; unfortunately this option is needed
+        // for TextMate grammars
+        if (context.skipBackrefValidation) {
+          orphan = true;
+        } else {
+          throw new Error(`Not enough capturing groups defined to the left "${raw}"`);
+        }
       } else {
-        throw new Error(`Not enough capturing groups defined to the left "${raw}"`);
+        forward = true;
       }
     }
     context.hasNumberedRef = true;
-    return createBackreference(isRelative ? numCapturesToLeft + 1 - num : num, {orphan});
+    const node = createBackreference(
+      isRelative ? numCapturesToLeft + 1 - num : num,
+      {forward, orphan, level}
+    );
+    if (forward) {
+      context.forwardBackrefs.push(node);
+    }
+    return node;
   };
   if (hasKWrapper) {
-    const numberedRef = /^(?<sign>-?)0*(?<num>[1-9]\d*)$/.exec(ref);
+    const numberedRef = /^(?<sign>[-+]?)0*(?<num>[1-9]\d*)$/.exec(ref);
     if (numberedRef) {
-      return fromNum(+numberedRef.groups.num, !!numberedRef.groups.sign);
+      const {sign, num} = numberedRef.groups;
+      return sign === '+' ?
+        fromNum(context.capturingGroups.length + +num) :
+        fromNum(+num, !!sign);
     }
     // Invalid in a backref name even when valid in a group name
     if (/[-+]/.test(ref)) {
@@ -219,7 +271,7 @@ function parseBackreference(context) {
     if (!context.namedGroupsByName.has(ref)) {
       throw new Error(`Group name not defined to the left "${raw}"`);
     }
-    return createBackreference(ref);
+    return createBackreference(ref, {level});
   }
   return fromNum(+ref);
 }
@@ -312,6 +364,9 @@ function parseCharacterSet({token, skipPropertyNameValidation}) {
 function parseGroupOpen(context, state) {
   const {token, tokens, capturingGroups, namedGroupsByName, skipLookbehindValidation, verbose, walk} = context;
   let node = createByGroupKind(token);
+  if (node.type === AstTypes.Conditional && token.ref !== undefined) {
+    node.ref = getConditionalRef(token, context);
+  }
   // Track capturing group details for backrefs and subroutines (before parsing the group's
   // contents so nested groups with the same name are tracked in order)
   if (node.type === AstTypes.CapturingGroup) {
@@ -337,10 +392,13 @@ function parseGroupOpen(context, state) {
       });
       alt.elements.push(child);
       if ((isLookbehind || state.isInLookbehind) && !skipLookbehindValidation) {
-        // JS supports all features within lookbehind, but Onig doesn't. Absence operator forms
-        // `(?~|)` and `(?~|…)` also aren't valid in lookbehind (the `(?~…)` and `(?~|…|…)` forms
-        // are allowed), but all forms throw since absence operators aren't yet supported
+        // JS supports all features within lookbehind, but Onig doesn't. Absent repeater `(?~…)` is
+        // allowed, and its contents are validated like any other lookbehind contents
         const msg = 'Lookbehind includes a pattern not allowed by Oniguruma';
+        // - Invalid: `(?~|…|…)`, `(?~|…)`, `(?~|)`
+        if (child.type === AstTypes.AbsentFunction && child.kind !== AstAbsentFunctionKinds.repeater) {
+          throw new Error(msg);
+        }
         if (isNegLookbehind || state.isInNegLookbehind) {
           // - Invalid: `(?=…)`, `(?!…)`, capturing groups
           // - Valid: `(?<=…)`, `(?<!…)`
@@ -358,6 +416,25 @@ function parseGroupOpen(context, state) {
     }
     nextToken = throwIfUnclosedGroup(tokens[context.current]);
   }
+  if (node.type === AstTypes.Conditional && node.ref === undefined) {
+    // The tokenizer added a group for the subexpression condition at the start of the first
+    // alternative. Onig requires the condition to be followed by at least one branch
+    const condition = node.alternatives[0].elements.shift();
+    if (
+      condition.type !== AstTypes.Group ||
+      (node.alternatives.length === 1 && !node.alternatives[0].elements.length)
+    ) {
+      throw new Error('Invalid conditional');
+    }
+    node.condition = condition;
+  }
+  if (node.kind === AstAbsentFunctionKinds.stopper && node.alternatives.length > 1) {
+    // Onig uses the first alternative as the absent pattern and the rest as the expression
+    node = createAbsentFunction(AstAbsentFunctionKinds.expression, {
+      absent: node.alternatives[0],
+      expression: node.alternatives.slice(1),
+    });
+  }
   if (!verbose) {
     node = getOptimizedGroup(node);
   }
@@ -372,6 +449,7 @@ function parseQuantifier({token, parent}) {
   if (
     !quantifiedNode ||
     quantifiedNode.type === AstTypes.Assertion ||
+    quantifiedNode.type === AstTypes.Callout ||
     quantifiedNode.type === AstTypes.Directive
   ) {
     throw new Error(`Quantifier requires a repeatable token`);
@@ -434,6 +512,23 @@ function parseSubroutine(context) {
   return node;
 }
 
+function createAbsentFunction(kind, options) {
+  const node = {
+    type: AstTypes.AbsentFunction,
+    kind: throwIfNot(AstAbsentFunctionKinds[kind], `Unexpected absent function kind "${kind}"`),
+  };
+  // Range clearer `(?~|)` has no kids. Other kinds use `alternatives` for the absent pattern
+  if (kind !== AstAbsentFunctionKinds.clearer) {
+    node.alternatives = [options?.absent ?? createAlternative()];
+  }
+  // Absent expression `(?~|…|…)` holds its expression in a noncapturing group
+  if (kind === AstAbsentFunctionKinds.expression) {
+    node.expression = createGroup();
+    node.expression.alternatives = options?.expression ?? [createAlternative()];
+  }
+  return node;
+}
+
 function createAlternative() {
   return {
     type: AstTypes.Alternative,
@@ -447,11 +542,14 @@ function createAssertion(kind, options) {
   return {
     type: AstTypes.Assertion,
     kind,
-    ...(kind === AstAssertionKinds.word_boundary ? {negate} : null),
+    ...(isNegatableAssertionKind(kind) ? {negate} : null),
   };
 }
 
-function createAssertionFromToken({type, kind, negate}) {
+function createAssertionFromToken({type, kind, negate, textSegmentMode}) {
+  const textSegmentBoundary = textSegmentMode === TokenTextSegmentModes.word ?
+    AstAssertionKinds.word_segment_boundary :
+    AstAssertionKinds.grapheme_boundary;
   return type === TokenTypes.GroupOpen ?
     createLookaround({
       behind: kind === TokenGroupKinds.lookbehind,
@@ -467,27 +565,41 @@ function createAssertionFromToken({type, kind, negate}) {
         '\\G': AstAssertionKinds.search_start,
         '\\z': AstAssertionKinds.string_end,
         '\\Z': AstAssertionKinds.string_end_newline,
+        '\\y': textSegmentBoundary,
+        '\\Y': textSegmentBoundary,
       }[kind], `Unexpected assertion kind "${kind}"`),
-      {negate: kind === r`\B`}
+      {negate: kind === r`\B` || kind === r`\Y`}
     );
 }
 
 function createBackreference(ref, options) {
+  const forward = !!options?.forward;
   const orphan = !!options?.orphan;
+  const level = options?.level;
   return {
     type: AstTypes.Backreference,
+    ...(forward && {forward}),
     ...(orphan && {orphan}),
     ref,
+    ...(level !== undefined && {level}),
   };
 }
 
 function createByGroupKind(token) {
   const {kind, number, name, flags} = token;
   switch (kind) {
+    case TokenGroupKinds.absent_clearer:
+      return createAbsentFunction(AstAbsentFunctionKinds.clearer);
+    case TokenGroupKinds.absent_repeater:
+      return createAbsentFunction(AstAbsentFunctionKinds.repeater);
+    case TokenGroupKinds.absent_stopper:
+      return createAbsentFunction(AstAbsentFunctionKinds.stopper);
     case TokenGroupKinds.atomic:
       return createGroup({atomic: true});
     case TokenGroupKinds.capturing:
       return createCapturingGroup(number, name);
+    case TokenGroupKinds.conditional:
+      return createConditional();
     case TokenGroupKinds.group:
       return createGroup({flags});
     case TokenGroupKinds.lookahead:
@@ -498,6 +610,22 @@ function createByGroupKind(token) {
   }
 }
 
+// Contents callouts like `(?{…})` have `contents` rather than a `name`
+function createCallout(name, options) {
+  const tag = options?.tag;
+  const args = options?.args;
+  const contents = options?.contents;
+  const direction = options?.direction;
+  return {
+    type: AstTypes.Callout,
+    ...(name && {name}),
+    ...(tag && {tag}),
+    ...(args && {args}),
+    ...(contents !== undefined && {contents}),
+    ...(direction && {direction}),
+  };
+}
+
 function createCapturingGroup(number, name) {
   const hasName = name !== undefined;
   if (hasName && !isValidGroupNameOniguruma(name)) {
@@ -579,6 +707,18 @@ function createCharacterSet(kind, {negate}) {
   return node;
 }
 
+function createConditional(options) {
+  const ref = options?.ref;
+  const condition = options?.condition;
+  // The first alternative is used if the condition is met, and any others if not
+  return {
+    type: AstTypes.Conditional,
+    ...(ref !== undefined && {ref}),
+    ...(condition && {condition}),
+    alternatives: [createAlternative()],
+  };
+}
+
 function createDirectiveFromToken({kind, flags}) {
   const node = {
     type: AstTypes.Directive,
@@ -593,15 +733,18 @@ function createDirectiveFromToken({kind, flags}) {
   return node;
 }
 
-function createFlags({ignoreCase, dotAll, extended, digitIsAscii, spaceIsAscii, wordIsAscii}) {
+function createFlags({ignoreCase, ignoreCaseIsAscii, dotAll, extended, digitIsAscii, posixIsAscii, spaceIsAscii, wordIsAscii, findLongest}) {
   return {
     type: AstTypes.Flags,
     ignoreCase,
+    ignoreCaseIsAscii,
     dotAll,
     extended,
     digitIsAscii,
+    posixIsAscii,
     spaceIsAscii,
     wordIsAscii,
+    findLongest,
   };
 }
 
@@ -686,16 +829,48 @@ function createUnicodeProperty(value, options) {
   }
 }
 
-function createVariableLengthCharacterSet(kind) {
+function createVariableLengthCharacterSet(kind, options) {
+  const isWordMode = options?.textSegmentMode === TokenTextSegmentModes.word;
   return {
     type: AstTypes.VariableLengthCharacterSet,
     kind: throwIfNot({
       '\\R': AstVariableLengthCharacterSetKinds.newline,
-      '\\X': AstVariableLengthCharacterSetKinds.grapheme,
+      '\\X': isWordMode ?
+        AstVariableLengthCharacterSetKinds.word_segment :
+        AstVariableLengthCharacterSetKinds.grapheme,
     }[kind], `Unexpected varcharset kind "${kind}"`),
   };
 }
 
+// Supported (if the reffed capture's opening paren appears to the left, as with backrefs):
+// - `(?(n)…)`, `(?(-n)…)`, and the same wrapped with `<…>` or `'…'`; allowed even when named
+//   capture is used
+// - `(?(<name>)…)`, `(?('name')…)`
+// Unsupported:
+// - `(?(+n)…)`, and with recursion level: `(?(<n+level>)…)`, `(?(<name-level>)…)`, etc.
+function getConditionalRef({raw, ref}, {capturingGroups, namedGroupsByName}) {
+  const numberedRef = /^(?<sign>[-+]?)0*(?<num>\d+)$/.exec(ref);
+  if (numberedRef) {
+    const {sign, num} = numberedRef.groups;
+    const numCapturesToLeft = capturingGroups.length;
+    if (sign === '+') {
+      throw new Error(`Unsupported conditional ref "${raw}"`);
+    }
+    const resolved = sign === '-' ? numCapturesToLeft + 1 - num : +num;
+    if (resolved < 1 || resolved > numCapturesToLeft) {
+      throw new Error(`Not enough capturing groups defined to the left "${raw}"`);
+    }
+    return resolved;
+  }
+  if (/[-+]/.test(ref)) {
+    throw new Error(`Invalid or unsupported conditional ref "${raw}"`);
+  }
+  if (!namedGroupsByName.has(ref)) {
+    throw new Error(`Group name not defined to the left "${raw}"`);
+  }
+  return ref;
+}
+
 // Unlike Onig, JS Unicode property names are case sensitive, don't ignore spaces, hyphens, and
 // underscores, and require underscores in specific positions
 function getJsUnicodePropertyName(value) {
@@ -704,23 +879,27 @@ function getJsUnicodePropertyName(value) {
     // Variable-length properties of strings aren't supported by Onig
     throw new Error(r`Unicode property "\p{${value}}" unsupported in Oniguruma`);
   }
-  const jsName = JsUnicodePropertiesMap.get(slugged);
+  const jsName = JsUnicodePropertiesMap.get(slugged) ?? getJsUnicodeScriptName(slugged);
   if (jsName) {
     return jsName;
   }
-  // Assume it's a script name (avoids including heavyweight data for long list of script names);
-  // JS requires formatting `Like_This`, so use best effort to reformat the name (covers a lot, but
-  // isn't able to map for all possible formatting differences)
-  return value.
-    trim().
-    replace(/[- _]+/g, '_').
-    replace(/[A-Z][a-z]+(?=[A-Z])/g, '$&_'). // `PropertyName` to `Property_Name`
-    replace(/[A-Za-z]+/g, m => m[0].toUpperCase() + m.slice(1).toLowerCase());
+  const nearest = getNearestUnicodePropertyName(slugged);
+  // Blocks aren't supported by JS; the transformer validates and converts them using opt-in data.
+  // Names with prefix `In` are potential blocks, unless they're more similar to a property or
+  // script name with the prefix than without it, which is likely a typo (ex: `Inheritd`). Many
+  // blocks share a name with a script (ex: `InArabic`)
+  if (slugged.startsWith('in')) {
+    const unprefixedNearest = getNearestUnicodePropertyName(slugged.slice(2));
+    if (!nearest || (unprefixedNearest && unprefixedNearest.distance <= nearest.distance)) {
+      return value;
+    }
+  }
+  throw new Error(r`Invalid character property name "\p{${value}}"${nearest ? `; did you mean "${nearest.name}"?` : ''}`);
 }
 
 // If a direct child group is needlessly nested, return it instead (after modifying it)
 function getOptimizedGroup(node) {
-  const firstAltFirstEl = node.alternatives[0].elements[0];
+  const firstAltFirstEl = node.alternatives?.[0].elements[0];
   if (
     node.type === AstTypes.Group &&
     hasOnlyChild(node, kid => kid.type === AstTypes.Group) &&
@@ -737,6 +916,14 @@ function getOptimizedGroup(node) {
   return node;
 }
 
+function isNegatableAssertionKind(kind) {
+  return (
+    kind === AstAssertionKinds.grapheme_boundary ||
+    kind === AstAssertionKinds.word_boundary ||
+    kind === AstAssertionKinds.word_segment_boundary
+  );
+}
+
 function isValidGroupNameOniguruma(name) {
   return !/^(?:[-\d]|$)/.test(name);
 }
@@ -766,20 +953,24 @@ function throwIfUnclosedGroup(token) {
 }
 
 export {
+  AstAbsentFunctionKinds,
   AstAssertionKinds,
   AstCharacterSetKinds,
   AstDirectiveKinds,
   AstTypes,
   AstVariableLengthCharacterSetKinds,
+  createAbsentFunction,
   createAlternative,
   createAssertion,
   createBackreference,
+  createCallout,
   createCapturingGroup,
   createCharacter,
   createCharacterClass,
   createCharacterClassIntersection,
   createCharacterClassRange,
   createCharacterSet,
+  createConditional,
   createFlags,
   createGroup,
   createLookaround,
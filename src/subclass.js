@@ -1,9 +1,35 @@
-import {AstAssertionKinds} from './parse.js';
+import {AstAssertionKinds, AstDirectiveKinds, AstTypes} from './parse.js';
+import {traverse} from './traverse.js';
 import {hasOnlyChild, isAlwaysZeroLength, isConsumptiveGroup, isLookaround} from './utils-ast.js';
 import {RegExpSubclass} from 'regex/internals';
 
+// Prefix for the names of captures that mark the position of `\K` for subclass strategy `keep`. Onig
+// group names can't start with `$`, so these can't conflict with other names
+const keepGroupNamePrefix = '$K$';
+
+/**
+@typedef {{
+  name?: string;
+  tag?: string;
+  args?: Array<string>;
+  contents?: string;
+  input: string;
+  start: number;
+  current: number;
+  match: RegExpExecArray;
+}} CalloutContext
+*/
 /**
 @typedef {{
+  callouts?: {[name: string]: (context: CalloutContext) => boolean | void} | null;
+  calloutPoints?: Array<{
+    pattern: string;
+    name?: string;
+    tag?: string;
+    args?: Array<string>;
+    contents?: string;
+  }> | null;
+  searchStartAlts?: Array<number> | null;
   strategy?: string | null;
   useEmulationGroups?: boolean;
 }} EmulatedRegExpOptions
@@ -21,6 +47,21 @@ class EmulatedRegExp extends RegExpSubclass {
   */
   #strategy;
   /**
+  @private
+  @type {Array<EmulatedRegExp> | undefined}
+  */
+  #altRegExps;
+  /**
+  @private
+  @type {Array<EmulatedRegExp> | undefined}
+  */
+  #calloutRegExps;
+  /**
+  @private
+  @type {EmulatedRegExp | undefined}
+  */
+  #keepRegExp;
+  /**
   Can be used to serialize the arguments used to create the instance.
   @type {{
     pattern: string;
@@ -64,6 +105,9 @@ class EmulatedRegExp extends RegExpSubclass {
       }
     } else {
       const opts = {
+        callouts: null,
+        calloutPoints: null,
+        searchStartAlts: null,
         strategy: null,
         useEmulationGroups: false,
         ...options,
@@ -74,6 +118,8 @@ class EmulatedRegExp extends RegExpSubclass {
         pattern,
         flags: flags ?? '',
         options: {
+          ...(opts.calloutPoints ? {callouts: opts.callouts, calloutPoints: opts.calloutPoints} : null),
+          ...(opts.searchStartAlts ? {searchStartAlts: opts.searchStartAlts} : null),
           ...(opts.strategy ? {strategy: opts.strategy} : null),
           ...(opts.useEmulationGroups ? {useEmulationGroups: true} : null),
         },
@@ -95,6 +141,55 @@ class EmulatedRegExp extends RegExpSubclass {
     const pos = this.lastIndex;
     const strategy = this.#strategy;
 
+    // ## Support user-defined callouts at the top level of patterns without top-level alternation
+    const {callouts, calloutPoints} = this.rawArgs.options;
+    if (calloutPoints) {
+      // The first regex searches for the pattern up to the first callout. The rest are sticky and
+      // match the pattern up to each following callout, then the full pattern
+      this.#calloutRegExps ??= createCalloutRegExps(this);
+      const [searchRe, ...stickyRes] = this.#calloutRegExps;
+      searchRe.lastIndex = useLastIndex ? pos : 0;
+      let match;
+      while ((match = searchRe.exec(str))) {
+        const {index} = match;
+        for (let i = 0; match && i < calloutPoints.length; i++) {
+          const {name, tag, args, contents} = calloutPoints[i];
+          const fn = callouts[contents === undefined ? name : 'contents'];
+          // A return value of `false` fails the match attempt at the current position
+          const result = fn({
+            ...(name && {name}),
+            ...(tag && {tag}),
+            ...(args && {args}),
+            ...(contents !== undefined && {contents}),
+            input: str,
+            start: index,
+            current: index + match[0].length,
+            match,
+          });
+          if (result === false) {
+            match = null;
+          } else {
+            stickyRes[i].lastIndex = index;
+            match = stickyRes[i].exec(str);
+          }
+        }
+        if (match) {
+          if (useLastIndex) {
+            this.lastIndex = index + match[0].length;
+          }
+          return match;
+        }
+        if (this.sticky) {
+          break;
+        }
+        searchRe.lastIndex = index + (str.codePointAt(index) > 0xFFFF ? 2 : 1);
+      }
+      if (useLastIndex) {
+        this.lastIndex = 0;
+      }
+      return null;
+    }
+
     // ## Support `(^|\G)…` and similar at start of pattern with no alts
     if (strategy === 'line_or_search_start' && useLastIndex && pos) {
       // Reset since testing on a sliced string that we want to match at the start of
@@ -117,6 +212,120 @@ class EmulatedRegExp extends RegExpSubclass {
       return match;
     }
 
+    // ## Support `\G…|…` and similar, where `\G` leads some but not all top-level alternatives
+    if (strategy === 'search_start_alts') {
+      // The first regex matches all alternatives at the search start, where `\G` matches. The
+      // second searches with the `\G` alternatives disabled, since `\G` can't match elsewhere
+      this.#altRegExps ??= createSearchStartRegExps(this);
+      const [stickyRe, searchRe] = this.#altRegExps;
+      const start = useLastIndex ? pos : 0;
+      stickyRe.lastIndex = start;
+      let match = stickyRe.exec(str);
+      if (!match && !this.sticky) {
+        searchRe.lastIndex = start;
+        match = searchRe.exec(str);
+      }
+      if (useLastIndex) {
+        this.lastIndex = match ? match.index + match[0].length : 0;
+      }
+      return match;
+    }
+
+    // ## Support `…(*MISMATCH)|…` and `…(*SKIP)(*FAIL)|…` with callouts ending the first alt
+    if (strategy === 'mismatch' || strategy === 'skip_fail') {
+      const {pattern, options} = this.rawArgs;
+      const globalRe = useLastIndex ?
+        this :
+        new EmulatedRegExp(pattern, `g${this.flags}`, {useEmulationGroups: !!options.useEmulationGroups});
+      this.#altRegExps ??= createAltRegExps(this);
+      const firstAltRe = this.#altRegExps[0];
+      let match;
+      while ((match = exec.call(globalRe, str))) {
+        firstAltRe.lastIndex = match.index;
+        const firstAltMatch = firstAltRe.exec(str);
+        if (!firstAltMatch) {
+          // Matched with a later alternative
+          break;
+        }
+        // Reaching the callouts fails the match attempt. Onig resumes searching at the end of the
+        // first alternative's match for `(*SKIP)` if it's not empty, else at the next char
+        const {index} = firstAltMatch;
+        const {length} = firstAltMatch[0];
+        globalRe.lastIndex = (strategy === 'skip_fail' && length) ?
+          index + length :
+          index + (str.codePointAt(index) > 0xFFFF ? 2 : 1);
+      }
+      return match;
+    }
+
+    // ## Support `\K` within groups, quantifiers, and lookarounds
+    if (strategy === 'keep') {
+      // Use a copy with flag d to get the positions of the captures that mark each `\K`
+      this.#keepRegExp ??= createKeepRegExp(this);
+      const re = this.#keepRegExp;
+      re.lastIndex = pos;
+      const match = re.exec(str);
+      if (useLastIndex) {
+        this.lastIndex = re.lastIndex;
+      }
+      if (!match) {
+        return match;
+      }
+      const end = match.index + match[0].length;
+      let keep = -1;
+      for (const name of Object.keys(match.groups)) {
+        if (name.startsWith(keepGroupNamePrefix)) {
+          // Onig uses the last `\K` that was passed, which is the rightmost position except in
+          // edge cases involving lookbehind
+          const start = match.indices.groups[name]?.[0];
+          if (start !== undefined && start > keep) {
+            keep = start;
+          }
+          delete match.groups[name];
+          delete match.indices.groups[name];
+        }
+      }
+      if (!Object.keys(match.groups).length) {
+        match.groups = undefined;
+        match.indices.groups = undefined;
+      }
+      // A `\K` in lookahead can be past the end of the match, in which case Onig returns an empty
+      // match at the end
+      if (keep > match.index) {
+        const start = Math.min(keep, end);
+        match[0] = str.slice(start, end);
+        match.index = start;
+        match.indices[0] = [start, end];
+      }
+      if (!this.hasIndices) {
+        delete match.indices;
+      }
+      return match;
+    }
+
+    // ## Support find longest mode `(?L)` with top-level alternation
+    if (strategy === 'find_longest') {
+      const match = exec.call(this, str);
+      if (!match) {
+        return match;
+      }
+      // The match is from the first top-level alternative that matches at the leftmost position.
+      // Compare it with each alternative's match at the same position, and keep the first longest
+      this.#altRegExps ??= createAltRegExps(this);
+      let longest = match;
+      this.#altRegExps.forEach(re => {
+        re.lastIndex = match.index;
+        const altMatch = re.exec(str);
+        if (altMatch && altMatch[0].length > longest[0].length) {
+          longest = altMatch;
+        }
+      });
+      if (useLastIndex) {
+        this.lastIndex = longest.index + longest[0].length;
+      }
+      return longest;
+    }
+
     return exec.call(this, str);
   }
 }
@@ -150,6 +359,64 @@ function adjustMatchDetails(str, re, match, offset) {
 function applySubclassStrategies(ast) {
   const alts = ast.pattern.alternatives;
   const firstEl = alts[0].elements[0];
+
+  // ## Strategy `find_longest`: Support find longest mode `(?L)` with top-level alternation
+  if (ast.flags.findLongest && alts.length > 1) {
+    // No pattern changes needed; the subclass compares matches of each top-level alternative
+    return 'find_longest';
+  }
+
+  // ## Strategies `mismatch` and `skip_fail`: Support `…(*MISMATCH)|…` and `…(*SKIP)(*FAIL)|…`
+  // with the callouts at the end of the first top-level alternative
+  const firstAltEls = alts[0].elements;
+  const lastEl = firstAltEls.at(-1);
+  if (lastEl?.type === AstTypes.Callout) {
+    if (lastEl.name === 'MISMATCH') {
+      firstAltEls.pop();
+      return 'mismatch';
+    }
+    const prevEl = firstAltEls.at(-2);
+    if (lastEl.name === 'FAIL' && prevEl?.type === AstTypes.Callout && prevEl.name === 'SKIP') {
+      firstAltEls.splice(-2);
+      return 'skip_fail';
+    }
+  }
+
+  // ## Strategy `keep`: Support `\K` within groups, quantifiers, and lookarounds, or with top-level
+  // alternation
+  if (hasKeepRequiringSubclass(ast)) {
+    // The `\K`s are converted to captures by the transformer's last pass
+    return 'keep';
+  }
+
+  // ## Strategy `search_start_alts`: Support `\G…|…` and similar, where `\G` leads some but not all
+  // top-level alternatives
+  if (alts.length > 1) {
+    const searchStartAlts = [];
+    const leadingGs = [];
+    let hasAltWithoutLeadG = false;
+    alts.forEach((alt, i) => {
+      // Top-level alternatives that include only `\G` are handled by the transformer
+      if (alt.elements.length === 1 && alt.elements[0].kind === AstAssertionKinds.search_start) {
+        return;
+      }
+      const leadingG = getLeadingG(alt.elements);
+      if (leadingG) {
+        searchStartAlts.push(i);
+        leadingGs.push(...[leadingG].flat());
+      } else {
+        hasAltWithoutLeadG = true;
+      }
+    });
+    if (searchStartAlts.length && hasAltWithoutLeadG) {
+      // Remove the leading `\G`s; the subclass only tries their alternatives at the search start
+      leadingGs.forEach(g => g.parent.elements.splice(g.parent.elements.indexOf(g), 1));
+      // The subclass needs to know which alternatives had `\G`
+      ast._searchStartAlts = searchStartAlts;
+      return 'search_start_alts';
+    }
+  }
+
   if (alts.length > 1 || !firstEl) {
     // These strategies only work if there's no top-level alternation
     return null;
@@ -205,6 +472,128 @@ function applySubclassStrategies(ast) {
   return null;
 }
 
+/**
+Returns a sticky regex for each top-level alternative of the given regex, which matches only with
+that alternative. Other alternatives are disabled rather than removed, to preserve group numbers.
+@param {EmulatedRegExp} re
+@returns {Array<EmulatedRegExp>}
+*/
+function createAltRegExps(re) {
+  const {pattern, options} = re.rawArgs;
+  const flags = `${re.flags.replace('g', '')}${re.sticky ? '' : 'y'}`;
+  const alts = splitTopLevelAlternatives(pattern, re.unicodeSets);
+  return alts.map((_, i) => new EmulatedRegExp(
+    alts.map((alt, j) => i === j ? alt : `(?!)${alt}`).join('|'),
+    flags,
+    {useEmulationGroups: !!options.useEmulationGroups}
+  ));
+}
+
+/**
+Returns regexes that match the given regex's pattern up to each of its callout points, followed by
+the full pattern. The first regex searches and the rest are sticky, to match at the search position.
+@param {EmulatedRegExp} re
+@returns {Array<EmulatedRegExp>}
+*/
+function createCalloutRegExps(re) {
+  const {pattern, options} = re.rawArgs;
+  const baseFlags = re.flags.replace('g', '');
+  const searchFlags = re.sticky ? baseFlags : `g${baseFlags}`;
+  const stickyFlags = re.sticky ? baseFlags : `${baseFlags}y`;
+  const patterns = [...options.calloutPoints.map(point => point.pattern), pattern];
+  return patterns.map((p, i) => new EmulatedRegExp(
+    p,
+    i ? stickyFlags : searchFlags,
+    {useEmulationGroups: !!options.useEmulationGroups}
+  ));
+}
+
+/**
+Returns a copy of the given regex with flag d, used to find the positions of `\K`.
+@param {EmulatedRegExp} re
+@returns {EmulatedRegExp}
+*/
+function createKeepRegExp(re) {
+  const {pattern, options} = re.rawArgs;
+  return new EmulatedRegExp(
+    pattern,
+    re.hasIndices ? re.flags : `d${re.flags}`,
+    {useEmulationGroups: !!options.useEmulationGroups}
+  );
+}
+
+/**
+Returns a sticky regex for the given regex's pattern, followed by a searching regex for the same
+pattern with the top-level alternatives from option `searchStartAlts` disabled. Alternatives are
+disabled rather than removed, to preserve group numbers.
+@param {EmulatedRegExp} re
+@returns {Array<EmulatedRegExp>}
+*/
+function createSearchStartRegExps(re) {
+  const {pattern, options} = re.rawArgs;
+  const baseFlags = re.flags.replace('g', '');
+  const stickyFlags = re.sticky ? baseFlags : `${baseFlags}y`;
+  const searchFlags = re.sticky ? baseFlags : `g${baseFlags}`;
+  const alts = splitTopLevelAlternatives(pattern, re.unicodeSets);
+  const searchPattern = alts.map((alt, i) => (
+    options.searchStartAlts.includes(i) ? `(?!)${alt}` : alt
+  )).join('|');
+  return [
+    new EmulatedRegExp(pattern, stickyFlags, {useEmulationGroups: !!options.useEmulationGroups}),
+    new EmulatedRegExp(searchPattern, searchFlags, {useEmulationGroups: !!options.useEmulationGroups}),
+  ];
+}
+
+function getLeadingG(els) {
+  const firstToConsider = els.find(el => (
+    el.kind === AstAssertionKinds.search_start ||
+    isLoneGLookaround(el, {negate: false}) ||
+    !isAlwaysZeroLength(el)
+  ));
+  if (!firstToConsider) {
+    return null;
+  }
+  if (firstToConsider.kind === AstAssertionKinds.search_start) {
+    return firstToConsider;
+  }
+  if (isLookaround(firstToConsider)) {
+    return firstToConsider.alternatives[0].elements[0];
+  }
+  if (isConsumptiveGroup(firstToConsider)) {
+    const gNodesForGroup = [];
+    // Recursively find `\G` nodes for all alternatives in the group
+    for (const alt of firstToConsider.alternatives) {
+      const leadingG = getLeadingG(alt.elements);
+      if (!leadingG) {
+        // Don't return `gNodesForGroup` collected so far since this alt didn't qualify
+        return null;
+      }
+      Array.isArray(leadingG) ?
+        gNodesForGroup.push(...leadingG) :
+        gNodesForGroup.push(leadingG);
+    }
+    return gNodesForGroup;
+  }
+  return null;
+}
+
+function hasKeepRequiringSubclass(ast) {
+  const hasTopLevelAlternation = ast.pattern.alternatives.length > 1;
+  let hasKeep = false;
+  traverse({node: ast}, null, {
+    Directive({node, parent}) {
+      // Top-level `\K` without top-level alternation is converted to lookbehind by the transformer
+      if (
+        node.kind === AstDirectiveKinds.keep &&
+        (hasTopLevelAlternation || parent.parent !== ast.pattern)
+      ) {
+        hasKeep = true;
+      }
+    },
+  });
+  return hasKeep;
+}
+
 function isLoneGLookaround(node, options) {
   const opts = {
     negate: null,
@@ -217,8 +606,46 @@ function isLoneGLookaround(node, options) {
   );
 }
 
+/**
+Splits a JS regex pattern on its top-level alternators.
+@param {string} pattern
+@param {boolean} unicodeSets Whether the pattern uses flag v, which allows nested classes.
+@returns {Array<string>}
+*/
+function splitTopLevelAlternatives(pattern, unicodeSets) {
+  const alts = [];
+  let altStart = 0;
+  let classDepth = 0;
+  let groupDepth = 0;
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === '\\') {
+      // Skip the escaped char
+      i++;
+    } else if (char === '[') {
+      if (!classDepth || unicodeSets) {
+        classDepth++;
+      }
+    } else if (classDepth) {
+      if (char === ']') {
+        classDepth--;
+      }
+    } else if (char === '(') {
+      groupDepth++;
+    } else if (char === ')') {
+      groupDepth--;
+    } else if (char === '|' && !groupDepth) {
+      alts.push(pattern.slice(altStart, i));
+      altStart = i + 1;
+    }
+  }
+  alts.push(pattern.slice(altStart));
+  return alts;
+}
+
 export {
   applySubclassStrategies,
   EmulatedRegExp,
-  isLoneGLookaround,
+  getLeadingG,
+  keepGroupNamePrefix,
 };
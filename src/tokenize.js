@@ -5,6 +5,7 @@ const TokenTypes = /** @type {const} */ ({
   Alternator: 'Alternator',
   Assertion: 'Assertion',
   Backreference: 'Backreference',
+  Callout: 'Callout',
   Character: 'Character',
   CharacterClassClose: 'CharacterClassClose',
   CharacterClassHyphen: 'CharacterClassHyphen',
@@ -18,7 +19,8 @@ const TokenTypes = /** @type {const} */ ({
   Quantifier: 'Quantifier',
   // These aren't allowed in char classes, so they aren't equivalent to JS `[\q{}]`
   VariableLengthCharacterSet: 'VariableLengthCharacterSet',
-  // Intermediate representation not included in results
+  // Intermediate representations not included in results
+  EncodedByte: 'EncodedByte',
   EscapedNumber: 'EscapedNumber',
 });
 
@@ -40,13 +42,22 @@ const TokenDirectiveKinds = {
 };
 
 const TokenGroupKinds = {
+  absent_clearer: 'absent_clearer',
+  absent_repeater: 'absent_repeater',
+  absent_stopper: 'absent_stopper',
   atomic: 'atomic',
   capturing: 'capturing',
+  conditional: 'conditional',
   group: 'group',
   lookahead: 'lookahead',
   lookbehind: 'lookbehind',
 };
 
+const TokenTextSegmentModes = {
+  grapheme: 'grapheme',
+  word: 'word',
+};
+
 const EscapeCharCodes = new Map([
   ['a',  7], // alert/bell (Not available in JS)
   ['b',  8], // backspace (only in char classes)
@@ -58,17 +69,39 @@ const EscapeCharCodes = new Map([
   ['v', 11], // vertical tab
 ]);
 
+// Built-in callouts that can be used by name; ex: `(*FAIL)`. Other names are user-defined
+const CalloutNames = new Set([
+  'CMP',
+  'COUNT',
+  'ERROR',
+  'FAIL',
+  'MAX',
+  'MISMATCH',
+  'SKIP',
+  'TOTAL_COUNT',
+]);
+// Built-in callouts that don't accept arguments
+const CalloutNamesWithoutArgs = new Set([
+  'FAIL',
+  'MISMATCH',
+  'SKIP',
+]);
+
+// Whole-pattern modifiers, mapped to the rule for the Onig option that each enables
+const WholePatternModifierRules = new Map([
+  ['C', 'dontCaptureGroup'], // `ONIG_OPTION_DONT_CAPTURE_GROUP`
+  ['I', 'ignoreCaseIsAscii'], // `ONIG_OPTION_IGNORECASE_IS_ASCII`
+  ['L', 'findLongest'], // `ONIG_OPTION_FIND_LONGEST`
+]);
+
 const charClassOpenPattern = r`\[\^?`;
 const sharedEscapesPattern = `${
-  // Control char
-  'c.? | C(?:-.?)?'
+  // Control char or meta, which can be nested (ex: `\M-\C-x`); incomplete forms matched for errors
+  r`(?:c | C-? | M-?)(?:\\(?:c | C-? | M-?))*(?:\\.|.)?`
 }|${
   // Unicode property; Onig considers `\p` an identity escape, but e.g. `\p{`, `\p{ ^L}`, and
   // `\p{gc=L}` are invalid
   r`[pP]\{(?:\^?[-\x20_]*[A-Za-z][-\x20\w]*\})?`
-}|${
-  // Hex encoded byte sequence; attempt match before other `\xNN` hex char
-  r`x[89A-Fa-f]\p{AHex}(?:\\x[89A-Fa-f]\p{AHex})*`
 }|${
   // Hex char
   r`u(?:\p{AHex}{4})? | x\{[^\}]*\}? | x\p{AHex}{0,2}`
@@ -89,13 +122,15 @@ const tokenRe = new RegExp(r`
     | [gk]'[^']*'?
     | .
   )
+  | \(\* [^)]* \)?
   | \( (?: \? (?:
-    [:=!>(~]
+    [:=!>(~{]
     | <[=!]
     | <[^>]*>
     | '[^']*'
     | # (?:[^)\\] | \\.?)*
-    | [imx\-]+[:)]
+    | [CIL]\)
+    | (?:[imxDPSW\-] | y\{[gw]\})+[:)]
   )?)?
   | ${quantifierRe.source}
   | ${charClassOpenPattern}
@@ -123,40 +158,66 @@ const charClassTokenRe = new RegExp(r`
   flags: {
     dotAll: boolean;
     extended: boolean;
+    findLongest: boolean;
     ignoreCase: boolean;
+    ignoreCaseIsAscii: boolean;
   };
   rules: {
     captureGroup: boolean;
+    dontCaptureGroup: boolean;
+    findLongest: boolean;
+    ignoreCaseIsAscii: boolean;
   };
 }} TokenizerResult
 */
 /**
 @param {string} pattern Oniguruma pattern.
 @param {string} [flags] Oniguruma flags.
-@param {{captureGroup?: boolean;}} [rules] Oniguruma compile-time options.
+@param {{
+  captureGroup?: boolean;
+  dontCaptureGroup?: boolean;
+  findLongest?: boolean;
+  ignoreCaseIsAscii?: boolean;
+}} [rules] Oniguruma compile-time options.
 @returns {TokenizerResult}
 */
 function tokenize(pattern, flags = '', rules) {
   rules = {
     // `ONIG_OPTION_CAPTURE_GROUP`
     captureGroup: false,
+    // `ONIG_OPTION_DONT_CAPTURE_GROUP`
+    dontCaptureGroup: false,
+    // `ONIG_OPTION_FIND_LONGEST`
+    findLongest: false,
+    // `ONIG_OPTION_IGNORECASE_IS_ASCII`
+    ignoreCaseIsAscii: false,
     ...rules,
   };
   if (typeof pattern !== 'string') {
     throw new Error('String expected as pattern');
   }
-  if (!/^[imxDSW]*$/.test(flags)) {
+  if (!/^[imxDPSW]*$/.test(flags)) {
     throw new Error(`Flags "${flags}" includes unsupported value`);
   }
   const extended = flags.includes('x');
-  const xStack = [extended];
+  // Flag x and text segment mode are used directly by the tokenizer and are scoped to the group
+  // that sets them, so track them with a stack
+  const modStack = [{isXOn: extended, textSegmentMode: TokenTextSegmentModes.grapheme}];
   const context = {
     captureGroup: rules.captureGroup,
-    getCurrentModX: () => xStack.at(-1),
+    // Can also be enabled by whole-pattern modifier `(?C)`
+    dontCaptureGroup: rules.dontCaptureGroup,
+    // Can also be enabled by whole-pattern modifier `(?L)`
+    findLongest: rules.findLongest,
+    getCurrentModX: () => modStack.at(-1).isXOn,
+    getCurrentTextSegmentMode: () => modStack.at(-1).textSegmentMode,
+    // Can also be enabled by whole-pattern modifier `(?I)`
+    ignoreCaseIsAscii: rules.ignoreCaseIsAscii,
     numOpenGroups: 0,
-    popModX() {xStack.pop()},
-    pushModX(isXOn) {xStack.push(isXOn)},
-    replaceCurrentModX(isXOn) {xStack[xStack.length - 1] = isXOn},
+    popMods() {modStack.pop()},
+    // New groups inherit the current mods unless overridden
+    pushMods(mods) {modStack.push({...modStack.at(-1), ...mods})},
+    replaceCurrentMods(mods) {Object.assign(modStack.at(-1), mods)},
   };
   let tokens = [];
   let match;
@@ -172,6 +233,10 @@ function tokenize(pattern, flags = '', rules) {
       tokenRe.lastIndex = result.lastIndex;
     }
   }
+  if (context.captureGroup && context.dontCaptureGroup) {
+    // Same as Onig's error for this combination of options
+    throw new Error('Invalid combination of options "captureGroup" and "dontCaptureGroup" or "(?C)"');
+  }
 
   const potentialUnnamedCaptureTokens = [];
   let numNamedAndOptInUnnamedCaptures = 0;
@@ -184,8 +249,9 @@ function tokenize(pattern, flags = '', rules) {
       }
     }
   });
-  // Enable unnamed capturing groups if no named captures (when `captureGroup` not enabled)
-  if (!numNamedAndOptInUnnamedCaptures) {
+  // Enable unnamed capturing groups if no named captures (when `captureGroup` and
+  // `dontCaptureGroup` not enabled)
+  if (!numNamedAndOptInUnnamedCaptures && !context.dontCaptureGroup) {
     potentialUnnamedCaptureTokens.forEach((t, i) => {
       t.kind = TokenGroupKinds.capturing;
       t.number = i + 1;
@@ -196,18 +262,24 @@ function tokenize(pattern, flags = '', rules) {
   tokens = tokens.map(
     t => t.type === TokenTypes.EscapedNumber ? splitEscapedNumToken(t, numCaptures) : t
   ).flat();
+  // Octal bytes are only known after splitting escaped nums, and can be mixed with hex bytes
+  tokens = decodeEncodedByteTokens(tokens);
 
   return {
     tokens,
     flags: {
       ignoreCase: flags.includes('i'),
+      // Not a flag in Onig, but it changes the behavior of flag i
+      ignoreCaseIsAscii: context.ignoreCaseIsAscii,
+      // Not a flag in Onig; handled via a `RegExp` subclass strategy
+      findLongest: context.findLongest,
       // Flag m is called `multiline` in Onig, but that has a different meaning in JS. Onig flag m
       // is equivalent to JS flag s
       dotAll: flags.includes('m'),
       // Flag x is fully handled during tokenization
       extended,
-      // Flags D, S, W are currently only supported as top-level flags
       digitIsAscii: flags.includes('D'),
+      posixIsAscii: flags.includes('P'),
       spaceIsAscii: flags.includes('S'),
       wordIsAscii: flags.includes('W'),
     },
@@ -234,6 +306,15 @@ function getTokenWithDetails(context, pattern, m, lastIndex) {
         }),
       };
     }
+    // Grapheme or word boundary, based on the current text segment mode
+    if ('yY'.includes(m1)) {
+      return {
+        token: createToken(TokenTypes.Assertion, m, {
+          kind: m,
+          textSegmentMode: context.getCurrentTextSegmentMode(),
+        }),
+      };
+    }
     if (/^\\g[<']/.test(m)) {
       if (!/^\\g(?:<[^>]+>|'[^']+')$/.test(m)) {
         throw new Error(`Invalid group name "${m}"`);
@@ -271,16 +352,21 @@ function getTokenWithDetails(context, pattern, m, lastIndex) {
         }),
       };
     }
-    if ('RX'.includes(m1)) {
+    if (m1 === 'R') {
       return {
         token: createToken(TokenTypes.VariableLengthCharacterSet, m, {
           kind: m,
         }),
       };
     }
-    // Grapheme boundaries not yet unsupported; avoid treating as an identity escape
-    if ('yY'.includes(m1)) {
-      throw new Error(`Unsupported grapheme boundary "${m}"`);
+    // Grapheme or word segment, based on the current text segment mode
+    if (m1 === 'X') {
+      return {
+        token: createToken(TokenTypes.VariableLengthCharacterSet, m, {
+          kind: m,
+          textSegmentMode: context.getCurrentTextSegmentMode(),
+        }),
+      };
     }
     // Run last since it assumes an identity escape as final condition
     const result = createTokenForSharedEscape(m, {inCharClass: false});
@@ -297,14 +383,33 @@ function getTokenWithDetails(context, pattern, m, lastIndex) {
         lastIndex: lastIndex + 1,
       };
     }
+    // Callout by name; ex: `(*FAIL)`
+    if (m1 === '*') {
+      return {
+        token: createTokenForCallout(m),
+      };
+    }
+    // Contents callout; ex: `(?{…})`
+    if (m2 === '{') {
+      return getContentsCalloutTokenWithDetails(pattern, lastIndex);
+    }
+    // Whole-pattern modifier `(?C)`, `(?I)`, or `(?L)`
+    if (WholePatternModifierRules.has(m2)) {
+      // Onig requires whole-pattern modifiers to be at the very start
+      if (lastIndex !== m.length) {
+        throw new Error(`Whole-pattern modifier "${m}" must be at the start of the pattern`);
+      }
+      context[WholePatternModifierRules.get(m2)] = true;
+      return {};
+    }
     // Flag modifier (directive or group opener); allows solo `-`
-    if ('-imx'.includes(m2)) {
+    if ('-imxyDPSW'.includes(m2)) {
       return {
         token: createTokenForFlagMod(m, context),
       };
     }
-    // Remaining group types all reuse current flag x status
-    context.pushModX(context.getCurrentModX());
+    // Remaining group types all reuse current flag x status and text segment mode
+    context.pushMods();
     context.numOpenGroups++;
     if (
       // Unnamed capture if no named captures present and `captureGroup` not enabled, else
@@ -352,12 +457,57 @@ function getTokenWithDetails(context, pattern, m, lastIndex) {
       }
     }
     if (m2 === '(') {
-      // [TODO] Some forms are supportable
-      throw new Error(`Unsupported conditional "${m}"`);
+      // Conditional with a group number or name as its condition; ex: `(?(1)…)`, `(?(<name>)…)`
+      const refRe = /(?<ref>[-+]?\d+(?:[-+]\d+)?|<[^>]*>|'[^']*')\)/y;
+      refRe.lastIndex = lastIndex;
+      const refMatch = refRe.exec(pattern);
+      if (refMatch) {
+        return {
+          token: createToken(TokenTypes.GroupOpen, `${m}${refMatch[0]}`, {
+            kind: TokenGroupKinds.conditional,
+            ref: refMatch.groups.ref.replace(/^[<']|[>']$/g, ''),
+          }),
+          lastIndex: refRe.lastIndex,
+        };
+      }
+      if (pattern[lastIndex] === '?' || pattern[lastIndex] === '*') {
+        throw new Error(`Invalid or unsupported conditional "${m}${pattern[lastIndex]}"`);
+      }
+      // Conditional with a subexpression as its condition; ex: `(?(a)…)`. Add a noncapturing group
+      // for the condition that shares the opening paren, which the parser then uses as the
+      // condition. Its `raw` is empty so it isn't changed to an unnamed capture
+      context.pushMods();
+      context.numOpenGroups++;
+      return {
+        tokens: [
+          createToken(TokenTypes.GroupOpen, m, {
+            kind: TokenGroupKinds.conditional,
+          }),
+          createToken(TokenTypes.GroupOpen, '', {
+            kind: TokenGroupKinds.group,
+          }),
+        ],
+      };
     }
     if (m2 === '~') {
-      // [TODO] Some forms are supportable
-      throw new Error(`Unsupported absence operator "${m}"`);
+      if (pattern[lastIndex] === '|') {
+        // Range clearer `(?~|)`, or absent stopper `(?~|…)` which the parser changes to an absent
+        // expression `(?~|…|…)` if it has more than one alternative. Skip the first alternator
+        return {
+          token: createToken(TokenTypes.GroupOpen, `${m}|`, {
+            kind: pattern[lastIndex + 1] === ')' ?
+              TokenGroupKinds.absent_clearer :
+              TokenGroupKinds.absent_stopper,
+          }),
+          lastIndex: lastIndex + 1,
+        };
+      }
+      // Absent repeater
+      return {
+        token: createToken(TokenTypes.GroupOpen, m, {
+          kind: TokenGroupKinds.absent_repeater,
+        }),
+      };
     }
     if (m === '(?') {
       throw new Error('Invalid group');
@@ -365,7 +515,7 @@ function getTokenWithDetails(context, pattern, m, lastIndex) {
     throw new Error(`Unexpected group "${m}"`);
   }
   if (m === ')') {
-    context.popModX();
+    context.popMods();
     context.numOpenGroups--;
     if (context.numOpenGroups < 0) {
       throw new Error('Unmatched ")"');
@@ -467,6 +617,37 @@ function getAllTokensForCharClass(pattern, opener, lastIndex) {
   }
 }
 
+// Expects `lastIndex` to follow `(?{`. Contents can be enclosed by additional braces so they can
+// include `}` (ex: `(?{{…}})`), and can be followed by a tag and/or direction; ex: `(?{…}[tag]X)`
+function getContentsCalloutTokenWithDetails(pattern, lastIndex) {
+  const start = lastIndex - 3;
+  const numBraces = 1 + /^\{*/.exec(pattern.slice(lastIndex))[0].length;
+  const contentsStart = lastIndex + numBraces - 1;
+  const contentsEnd = pattern.indexOf('}'.repeat(numBraces), contentsStart);
+  if (contentsEnd === -1) {
+    throw new Error(`Unclosed contents callout "${pattern.slice(start)}"`);
+  }
+  const suffixRe = /(?:\[(?<tag>[^\]]*)\])?(?<direction>[<>X])?\)/y;
+  suffixRe.lastIndex = contentsEnd + numBraces;
+  const match = suffixRe.exec(pattern);
+  const raw = pattern.slice(start, match ? suffixRe.lastIndex : contentsEnd + numBraces);
+  if (!match) {
+    throw new Error(`Incomplete or invalid contents callout "${raw}"`);
+  }
+  const {tag, direction} = match.groups;
+  if (tag !== undefined && !/^[A-Za-z_]\w*$/.test(tag)) {
+    throw new Error(`Invalid callout tag name "${raw}"`);
+  }
+  return {
+    token: createToken(TokenTypes.Callout, raw, {
+      contents: pattern.slice(contentsStart, contentsEnd),
+      ...(tag !== undefined && {tag}),
+      ...(direction && {direction}),
+    }),
+    lastIndex: suffixRe.lastIndex,
+  };
+}
+
 function createTokenForAnyTokenWithinCharClass(raw) {
   if (raw[0] === '\\') {
     // Assumes an identity escape as final condition
@@ -500,14 +681,14 @@ function createTokenForAnyTokenWithinCharClass(raw) {
 // Tokens shared by base syntax and char class syntax that start with `\`
 function createTokenForSharedEscape(raw, {inCharClass}) {
   const char1 = raw[1];
-  if (char1 === 'c' || char1 === 'C') {
-    return createTokenForControlChar(raw);
+  if (char1 === 'c' || char1 === 'C' || char1 === 'M') {
+    return createTokenForControlOrMetaChar(raw);
   }
   if ('dDhHsSwW'.includes(char1)) {
     return createTokenForShorthandCharClass(raw);
   }
   if (raw.startsWith(r`\o{`)) {
-    throw new Error(`Incomplete, invalid, or unsupported octal code point "${raw}"`);
+    return createTokensForEnclosedCodePoints(raw, {inCharClass});
   }
   if (/^\\[pP]\{/.test(raw)) {
     if (raw.length === 3) {
@@ -515,28 +696,17 @@ function createTokenForSharedEscape(raw, {inCharClass}) {
     }
     return createTokenForUnicodeProperty(raw);
   }
-  // Hex UTF-8 encoded byte sequence
-  if (/^\\x[89A-Fa-f]\p{AHex}/u.test(raw)) {
-    try {
-      const bytes = raw.split(/\\x/).slice(1).map(hex => parseInt(hex, 16));
-      const decoded = new TextDecoder('utf-8', {
-        ignoreBOM: true,
-        fatal: true,
-      }).decode(new Uint8Array(bytes));
-      const encoder = new TextEncoder();
-      const tokens = [...decoded].map(char => {
-        // Since this regenerates `raw`, it might have different casing for hex A-F than the input
-        const raw = [...encoder.encode(char)].map(byte => `\\x${byte.toString(16)}`).join('');
-        return createToken(TokenTypes.Character, raw, {
-          value: char.codePointAt(0),
-        });
+  if (char1 === 'u' || char1 === 'x') {
+    // Hex UTF-8 encoded byte; decoded along with adjacent bytes after tokenizing
+    if (/^\\x[89A-Fa-f]\p{AHex}$/u.test(raw)) {
+      return createToken(TokenTypes.EncodedByte, raw, {
+        value: parseInt(raw.slice(2), 16),
       });
-      return tokens;
-    } catch {
-      throw new Error(`Multibyte code "${raw}" incomplete or invalid in Oniguruma`);
     }
-  }
-  if (char1 === 'u' || char1 === 'x') {
+    // Code point sequence; ex: `\x{41 42}`
+    if (/^\\x\{\p{AHex}+[\n \-]/u.test(raw)) {
+      return createTokensForEnclosedCodePoints(raw, {inCharClass});
+    }
     return createToken(TokenTypes.Character, raw, {
       value: getValidatedHexCharCode(raw),
     });
@@ -556,11 +726,6 @@ function createTokenForSharedEscape(raw, {inCharClass}) {
   if (raw === '\\') {
     throw new Error(r`Incomplete escape "\"`);
   }
-  // Meta `\M-x` and `\M-\C-x` are unsupported; avoid treating as an identity escape
-  if (char1 === 'M') {
-    // [TODO] Supportable; see <github.com/kkos/oniguruma/blob/master/doc/SYNTAX.md#12-onig_syn_op2_esc_capital_m_bar_meta-enable-m-x>, <github.com/kkos/oniguruma/blob/43a8c3f3daf263091f3a74019d4b32ebb6417093/src/regparse.c#L4695>, <https://github.com/ammar/regexp_parser/blob/8851030feda68223d74f502335fb254a20d77016/lib/regexp_parser/expression/classes/escape_sequence.rb#L75>
-    throw new Error(`Unsupported meta "${raw}"`);
-  }
   // Identity escape; count code point length
   if ([...raw].length === 2) {
     return createToken(TokenTypes.Character, raw, {
@@ -584,26 +749,95 @@ function createToken(type, raw, data) {
   };
 }
 
+// Expects `(*NAME)`, optionally with a tag and/or args; ex: `(*MAX[tag]{2})`
+function createTokenForCallout(raw) {
+  const match = /^\(\*(?<name>[^[{)]*)(?:\[(?<tag>[^\]]*)\])?(?:\{(?<args>[^}]*)\})?\)$/.exec(raw);
+  if (!match) {
+    throw new Error(`Incomplete or invalid callout "${raw}"`);
+  }
+  const {name, tag, args} = match.groups;
+  if (!/^[A-Za-z_]\w*$/.test(name)) {
+    throw new Error(`Invalid callout name "${raw}"`);
+  }
+  if (tag !== undefined && !/^[A-Za-z_]\w*$/.test(tag)) {
+    throw new Error(`Invalid callout tag name "${raw}"`);
+  }
+  if (args && CalloutNamesWithoutArgs.has(name)) {
+    throw new Error(`Invalid callout arg "${raw}"`);
+  }
+  return createToken(TokenTypes.Callout, raw, {
+    name,
+    ...(tag !== undefined && {tag}),
+    ...(args && {args: args.split(',')}),
+  });
+}
+
 // Expects `\cx` or `\C-x`
-function createTokenForControlChar(raw) {
-  const char = raw[1] === 'c' ? raw[2] : raw[3];
-  if (!char || !/[A-Za-z]/.test(char)) {
-    // Unlike JS, Onig allows any char to follow `\c` or `\C-`, but this is an extreme edge case
-    // [TODO] Supportable; see <github.com/kkos/oniguruma/blob/master/doc/SYNTAX.md#11-onig_syn_op2_esc_capital_c_bar_control-enable-c-x>, <github.com/kkos/oniguruma/blob/43a8c3f3daf263091f3a74019d4b32ebb6417093/src/regparse.c#L4695>
-    throw new Error(`Unsupported control character "${raw}"`);
+// Unlike JS, Onig allows any char to follow `\c` or `\C-`, and supports meta `\M-x`. These can be
+// nested, and the char they modify can be a simple escape (ex: `\c\n`)
+function createTokenForControlOrMetaChar(raw) {
+  if (!/^(?:\\(?:c|C-|M-))+(?:\\.|[^\\])$/su.test(raw)) {
+    throw new Error(`Incomplete or invalid control or meta char "${raw}"`);
+  }
+  // Ex: `\c\c` or `\M-\C`, where the target is itself the start of a control or meta char
+  if (/\\[cCM]$/.test(raw)) {
+    throw new Error(`Incomplete nested control or meta char "${raw}"`);
   }
   return createToken(TokenTypes.Character, raw, {
-    value: char.toUpperCase().codePointAt(0) - 64,
+    value: getControlOrMetaCharCode(raw),
+  });
+}
+
+// Enclosed octal code points `\o{…}` and enclosed hex code point sequences like `\x{41 42}`. Code
+// points can be separated by spaces or line feeds, and within char classes, by `-` to form a range
+function createTokensForEnclosedCodePoints(raw, {inCharClass}) {
+  const isOctal = raw[1] === 'o';
+  // Onig allows up to 11 octal or 8 hex digits, including leading 0s
+  const codeRe = isOctal ? /^[0-7]{1,11}$/ : /^\p{AHex}{1,8}$/u;
+  const parts = /^\\[ox]\{(?<list>[^}]*)\}$/.exec(raw)?.groups.list.split(/([\n ]*-[\n ]*|[\n ]+)/);
+  // Trailing separators are allowed only after more than one code point
+  if (parts?.length > 3 && parts.at(-1) === '' && !parts.at(-2).includes('-')) {
+    parts.splice(-2);
+  }
+  const isValid = parts?.every((part, i) => {
+    if (i % 2 === 0) {
+      return codeRe.test(part);
+    }
+    // Ranges are allowed only within char classes, and can't be chained
+    return !part.includes('-') || (inCharClass && !parts[i - 2]?.includes('-'));
   });
+  if (!isValid) {
+    throw new Error(`Incomplete or invalid enclosed code point "${raw}"`);
+  }
+  return parts.map((part, i) => {
+    if (i % 2) {
+      return part.includes('-') ? createToken(TokenTypes.CharacterClassHyphen, '-') : null;
+    }
+    return createToken(TokenTypes.Character, `\\${raw[1]}{${part}}`, {
+      value: parseInt(part, isOctal ? 8 : 16),
+    });
+  }).filter(Boolean);
 }
 
 function createTokenForFlagMod(raw, context) {
   // Allows multiple `-` and solo `-` without `on` or `off` flags
-  let {on, off} = /^\(\?(?<on>[imx]*)(?:-(?<off>[imx\-]*))?/.exec(raw).groups;
+  let {on, off} = /^\(\?(?<on>(?:[imxDPSW]|y\{[gw]\})*)(?:-(?<off>[^:)]*))?/.exec(raw).groups;
   // If the capturing group didn't participate
   off ??= '';
+  if (off.includes('y')) {
+    throw new Error(`Text segment mode can't be turned off "${raw}"`);
+  }
   // Flag x is used directly by the tokenizer since it changes how to interpret the pattern
   const isXOn = (context.getCurrentModX() || on.includes('x')) && !off.includes('x');
+  // Text segment mode is used directly by the tokenizer since it changes how `\X`, `\y`, and `\Y`
+  // are interpreted; the last one specified wins
+  const textSegmentModeStr = on.match(/y\{[gw]\}/g)?.at(-1);
+  const mods = {isXOn};
+  if (textSegmentModeStr) {
+    mods.textSegmentMode = textSegmentModeStr === 'y{w}' ?
+      TokenTextSegmentModes.word :
+      TokenTextSegmentModes.grapheme;
+  }
   const enabledFlags = getFlagPropsForToken(on);
   const disabledFlags = getFlagPropsForToken(off);
   const flagChanges = {};
@@ -611,8 +845,8 @@ function createTokenForFlagMod(raw, context) {
   disabledFlags && (flagChanges.disable = disabledFlags);
   // Flag directive; ex: `(?im-x)`
   if (raw.endsWith(')')) {
-    // Replace flag x value until the end of the current group
-    context.replaceCurrentModX(isXOn);
+    // Replace flag x value and text segment mode until the end of the current group
+    context.replaceCurrentMods(mods);
     // Can't remove flag directives without flags like `(?-)`; they affect following quantifiers
     return createToken(TokenTypes.Directive, raw, {
       kind: TokenDirectiveKinds.flags,
@@ -621,7 +855,7 @@ function createTokenForFlagMod(raw, context) {
   }
   // Flag group opener; ex: `(?im-x:`
   if (raw.endsWith(':')) {
-    context.pushModX(isXOn);
+    context.pushMods(mods);
     context.numOpenGroups++;
     const token = createToken(TokenTypes.GroupOpen, raw, {
       kind: TokenGroupKinds.group,
@@ -679,6 +913,61 @@ function createTokenForUnicodeProperty(raw) {
   });
 }
 
+// Decodes runs of adjacent hex and/or octal UTF-8 encoded byte tokens (ex: `\xE2\202\xAC`) into
+// Character tokens. Like Onig, bytes separated only by comments or (with flag x) whitespace are
+// adjacent
+function decodeEncodedByteTokens(tokens) {
+  const result = [];
+  for (let i = 0; i < tokens.length; i++) {
+    if (tokens[i].type !== TokenTypes.EncodedByte) {
+      result.push(tokens[i]);
+      continue;
+    }
+    const byteTokens = [];
+    while (tokens[i]?.type === TokenTypes.EncodedByte) {
+      byteTokens.push(tokens[i++]);
+    }
+    i--;
+    let decoded;
+    try {
+      decoded = new TextDecoder('utf-8', {
+        ignoreBOM: true,
+        fatal: true,
+      }).decode(new Uint8Array(byteTokens.map(t => t.value)));
+    } catch {
+      const raw = byteTokens.map(t => t.raw).join('');
+      throw new Error(`Multibyte code "${raw}" incomplete or invalid in Oniguruma`);
+    }
+    const encoder = new TextEncoder();
+    for (const char of decoded) {
+      // Rebuild `raw` from the bytes that encode this char
+      const charBytes = byteTokens.splice(0, encoder.encode(char).length);
+      result.push(createToken(TokenTypes.Character, charBytes.map(t => t.raw).join(''), {
+        value: char.codePointAt(0),
+      }));
+    }
+  }
+  return result;
+}
+
+// Follows Onig's `fetch_escaped_value_raw`. Expects a valid control or meta char sequence
+function getControlOrMetaCharCode(raw) {
+  const {kind, target} = /^\\(?<kind>c|C-|M-)(?<target>.+)/su.exec(raw).groups;
+  if (kind !== 'M-' && target === '?') {
+    // Delete char
+    return 0x7F;
+  }
+  let value;
+  if (/^\\[cCM]/.test(target)) {
+    value = getControlOrMetaCharCode(target);
+  } else if (target[0] === '\\') {
+    value = EscapeCharCodes.get(target[1]) ?? target.codePointAt(1);
+  } else {
+    value = target.codePointAt(0);
+  }
+  return kind === 'M-' ? (value & 0xFF) | 0x80 : value & 0x9F;
+}
+
 function getFlagPropsForToken(flags) {
   // Don't include `false` for flags that aren't included
   const obj = {};
@@ -692,6 +981,18 @@ function getFlagPropsForToken(flags) {
   if (flags.includes('x')) {
     obj.extended = true;
   }
+  if (flags.includes('D')) {
+    obj.digitIsAscii = true;
+  }
+  if (flags.includes('P')) {
+    obj.posixIsAscii = true;
+  }
+  if (flags.includes('S')) {
+    obj.spaceIsAscii = true;
+  }
+  if (flags.includes('W')) {
+    obj.wordIsAscii = true;
+  }
   return Object.keys(obj).length ? obj : null;
 }
 
@@ -743,8 +1044,15 @@ function splitEscapedNumToken(token, numCaptures) {
     if (i === 0 && m !== '8' && m !== '9') {
       value = parseInt(m, 8);
       if (value > 0o177) {
-        // Octal UTF-8 encoded byte sequence; not yet supported
-        throw new Error(r`Octal encoded byte above 177 unsupported "${raw}"`);
+        // Onig truncates values above `\377` to their low byte; don't emulate this
+        if (value > 0o377) {
+          throw new Error(r`Octal encoded byte above 377 unsupported "${raw}"`);
+        }
+        // Octal UTF-8 encoded byte; decoded along with adjacent bytes
+        tokens.push(createToken(TokenTypes.EncodedByte, raw, {
+          value,
+        }));
+        continue;
       }
     } else {
       value = m.codePointAt(0);
@@ -763,9 +1071,11 @@ function assertSingleCodePoint(raw) {
 }
 
 export {
+  CalloutNames,
   tokenize,
   TokenCharacterSetKinds,
   TokenDirectiveKinds,
   TokenGroupKinds,
+  TokenTextSegmentModes,
   TokenTypes,
 };
@@ -1,11 +1,11 @@
 import {Accuracy, Target} from './options.js';
-import {AstAssertionKinds, AstCharacterSetKinds, AstDirectiveKinds, AstTypes, AstVariableLengthCharacterSetKinds, createAlternative, createBackreference, createCapturingGroup, createCharacterSet, createGroup, createLookaround, createUnicodeProperty, parse} from './parse.js';
-import {applySubclassStrategies, isLoneGLookaround} from './subclass.js';
-import {tokenize} from './tokenize.js';
+import {AstAbsentFunctionKinds, AstAssertionKinds, AstCharacterSetKinds, AstDirectiveKinds, AstTypes, AstVariableLengthCharacterSetKinds, createAlternative, createAssertion, createBackreference, createCapturingGroup, createCharacterSet, createGroup, createLookaround, createQuantifier, createUnicodeProperty, parse} from './parse.js';
+import {applySubclassStrategies, getLeadingG, keepGroupNamePrefix} from './subclass.js';
+import {CalloutNames, tokenize} from './tokenize.js';
 import {traverse} from './traverse.js';
-import {JsUnicodeProperties, PosixClassesMap} from './unicode.js';
+import {AsciiPosixClassesMap, CharsByMultiCharCaseFold, getCaseFold, getJsUnicodeScriptName, getNearestUnicodePropertyName, JsUnicodeProperties, MultiCharCaseFolds, PosixClassesMap, slug} from './unicode.js';
 import {cp, getNewCurrentFlags, getOrCreate, isMinTarget, r} from './utils.js';
-import {isAlwaysNonZeroLength, isAlwaysZeroLength, isConsumptiveGroup, isLookaround} from './utils-ast.js';
+import {isAlwaysEmptyMatch, isAlwaysNonEmptyMatch, isAlwaysNonZeroLength, isConsumptiveGroup, isLookaround} from './utils-ast.js';
 import emojiRegex from 'emoji-regex-xs';
 
 /**
@@ -15,6 +15,7 @@ import emojiRegex from 'emoji-regex-xs';
   pattern: Object;
   flags: Object;
   options: Object;
+  _searchStartAlts?: Array<number>;
   _strategy?: string;
 }} RegexAst
 */
@@ -33,6 +34,7 @@ AST represents what's needed to precisely reproduce Oniguruma behavior using Reg
   asciiWordBoundaries?: boolean;
   avoidSubclass?: boolean;
   bestEffortTarget?: keyof Target;
+  callouts?: {[name: string]: Function} | null;
   ignoreUnsupportedGAnchors?: boolean;
 }} [options]
 @returns {RegexAst}
@@ -40,8 +42,10 @@ AST represents what's needed to precisely reproduce Oniguruma behavior using Reg
 function transform(ast, options) {
   const opts = {
     // A couple edge cases exist where options `accuracy` and `bestEffortTarget` are used:
-    // - `VariableLengthCharacterSet` kind `grapheme` (`\X`): An exact representation would require
-    //   heavy Unicode data; a best-effort approximation requires knowing the target.
+    // - `VariableLengthCharacterSet` kinds `grapheme` and `word_segment` (`\X`): An exact
+    //   representation requires heavy Unicode data (opt-in via `unicodeData` for graphemes); a
+    //   best-effort approximation requires knowing the target. Text segment boundaries (`\y`,
+    //   `\Y`) are also approximated without the data.
     // - `CharacterSet` kind `posix` with values `graph` and `print`: Their complex Unicode-based
     //   representations would be hard to change to ASCII-based after the fact in the generator
     //   based on `target`/`accuracy`, so produce the appropriate structure here.
@@ -49,23 +53,44 @@ function transform(ast, options) {
     asciiWordBoundaries: false,
     avoidSubclass: false,
     bestEffortTarget: 'ES2025',
+    callouts: null,
     ignoreUnsupportedGAnchors: false,
+    unicodeData: null,
     ...options,
   };
   // AST transformations that work together with a `RegExp` subclass to add advanced emulation
   const strategy = opts.avoidSubclass ? null : applySubclassStrategies(ast);
+  if (ast.flags.findLongest && ast.pattern.alternatives.length > 1 && !strategy) {
+    throw new Error('Use of find longest mode with top-level alternation requires the RegExp subclass');
+  }
+  if (ast.flags.findLongest && opts.accuracy === 'strict' && hasUncomparedFindLongestChoice(ast)) {
+    throw new Error('Use of find longest mode with nested alternation or variable-length quantifiers requires non-strict accuracy');
+  }
   const firstPassState = {
+    absentClearers: [],
+    absentStoppers: [],
     accuracy: opts.accuracy,
     asciiWordBoundaries: opts.asciiWordBoundaries,
+    avoidSubclass: opts.avoidSubclass,
+    callouts: opts.callouts,
+    // Nodes that emulate assertions like `$` and `\b`, which absent functions don't limit
+    emulatedAssertions: new Set(),
     flagDirectivesByAlt: new Map(),
+    // Flags that modifiers can change; the last item has the flags for the current scope
+    flagsStack: [{
+      digitIsAscii: ast.flags.digitIsAscii,
+      ignoreCase: ast.flags.ignoreCase,
+      posixIsAscii: ast.flags.posixIsAscii,
+      spaceIsAscii: ast.flags.spaceIsAscii,
+      wordIsAscii: ast.flags.wordIsAscii,
+    }],
     ignoreUnsupportedGAnchors: opts.ignoreUnsupportedGAnchors,
     minTargetEs2024: isMinTarget(opts.bestEffortTarget, 'ES2024'),
+    strategy,
     // Subroutines can appear before the groups they ref, so collect reffed nodes for a second pass 
     subroutineRefMap: new Map(),
     supportedGNodes: new Set(),
-    digitIsAscii: ast.flags.digitIsAscii,
-    spaceIsAscii: ast.flags.spaceIsAscii,
-    wordIsAscii: ast.flags.wordIsAscii,
+    unicodeData: opts.unicodeData,
   };
   traverse({node: ast}, firstPassState, FirstPassVisitor);
   // Global flags modified by the first pass
@@ -79,6 +104,11 @@ function transform(ast, options) {
   // subroutines can't directly reference duplicate names) is extremely complicated to emulate in
   // JS in a way that handles all edge cases, so we need multiple passes to do it
   const secondPassState = {
+    // Origin groups referenced by subroutines (including recursion), which increase the recursion
+    // level when entered
+    calledGroups: new Set(),
+    // Captures that come after a forward backref and use its number, by the backref
+    capturesToRightByBackref: new Map(),
     currentFlags: globalFlags,
     prevFlags: null,
     globalFlags,
@@ -86,14 +116,26 @@ function transform(ast, options) {
     groupsByName: new Map(),
     multiplexCapturesToLeftByRef: new Map(),
     openRefs: new Map(),
+    // Groups (or the pattern) recursed into, after subroutine expansion
+    recursedGroups: new Set(),
     reffedNodesByReferencer: new Map(),
     subroutineRefMap: firstPassState.subroutineRefMap,
   };
   traverse({node: ast}, secondPassState, SecondPassVisitor);
   const thirdPassState = {
+    accuracy: opts.accuracy,
+    calledGroups: secondPassState.calledGroups,
+    capturesToRightByBackref: secondPassState.capturesToRightByBackref,
+    groupOriginByCopy: secondPassState.groupOriginByCopy,
     groupsByName: secondPassState.groupsByName,
     highestOrphanBackref: 0,
     numCapturesToLeft: 0,
+    // Forward backrefs to captures from prior iterations of a quantified group, which are replaced
+    // when the quantifier is split
+    priorIterationCaptureByBackref: new Map(),
+    recursedGroups: secondPassState.recursedGroups,
+    // Captures referenced by backrefs, conditionals, or recursion
+    referencedCaptures: new Set([...secondPassState.reffedNodesByReferencer.values()].flat()),
     reffedNodesByReferencer: secondPassState.reffedNodesByReferencer,
   };
   traverse({node: ast}, thirdPassState, ThirdPassVisitor);
@@ -104,8 +146,56 @@ function transform(ast, options) {
 }
 
 const FirstPassVisitor = {
+  AbsentFunction: {
+    enter(path, state) {
+      const {node, replaceWith, skip} = path;
+      const {kind} = node;
+      if (kind === AstAbsentFunctionKinds.repeater) {
+        // Convert absent repeater `(?~…)` to `(?:(?:(?!…)\p{Any})*)`. Onig stops repeating before
+        // any position where the absent pattern matches, so this tempered construct has the same
+        // behavior
+        const group = prepContainer(createGroup(), [
+          adoptAndSwapKids(createLookaround({negate: true}), node.alternatives),
+          createUnicodeProperty('Any'),
+        ]);
+        const quantifier = createQuantifier(group, 0, Infinity, true, false);
+        group.parent = quantifier;
+        const replacement = prepContainer(createGroup(), [quantifier]);
+        replaceWith(replacement);
+        // The absent pattern was moved into the replacement, so traverse it from there
+        skip();
+        traverseReplacement(replacement, path, state, FirstPassVisitor);
+      } else if (kind === AstAbsentFunctionKinds.stopper || kind === AstAbsentFunctionKinds.clearer) {
+        // Ranges set by stoppers apply to everything that follows them, and clearers end them.
+        // Since the absent pattern is copied, it can't include nested stoppers or clearers
+        if (
+          path.parent.type === AstTypes.Quantifier ||
+          getAllParents(node, ({type}) => type === AstTypes.AbsentFunction).length
+        ) {
+          throw new Error(`Uses "${AbsentFunctionForms[kind]}" in a way that's unsupported`);
+        }
+        // Wait until exiting the pattern to apply them, after the nodes they affect are transformed
+        kind === AstAbsentFunctionKinds.stopper ?
+          state.absentStoppers.push(node) :
+          state.absentClearers.push(node);
+      } else if (kind !== AstAbsentFunctionKinds.expression) {
+        throw new Error(`Unexpected absent function kind "${kind}"`);
+      }
+    },
+    exit(path, state) {
+      const {node, replaceWith} = path;
+      if (node.kind === AstAbsentFunctionKinds.expression) {
+        // Convert absent expression `(?~|absent|expr)` to `expr` with each of its consuming nodes
+        // preceded by `(?!absent)`. Onig prevents the expression from consuming any position where
+        // the absent pattern matches, and doesn't limit lookbehind or assertions like `$` and `\b`
+        temperWithAbsent({node: node.expression, parent: node, key: 'expression'}, node, state);
+        replaceWith(node.expression);
+      }
+    },
+  },
+
   Alternative: {
-    enter({node, parent, key}, {flagDirectivesByAlt}) {
+    enter({node, parent, key}, {flagDirectivesByAlt, flagsStack}) {
       // Look for own-level flag directives when entering an alternative because after traversing
       // the directive itself, any subsequent flag directives will no longer be at the same level
       const flagDirectives = node.elements.filter(el => el.kind === AstDirectiveKinds.flags);
@@ -113,8 +203,14 @@ const FirstPassVisitor = {
         const forwardSiblingAlt = parent.alternatives[i];
         getOrCreate(flagDirectivesByAlt, forwardSiblingAlt, []).push(...flagDirectives);
       }
+      // Flag directives from prior sibling alternatives apply to this alternative
+      flagsStack.push((flagDirectivesByAlt.get(node) ?? []).reduce(
+        (flags, directive) => getNewCurrentFlags(flags, directive.flags),
+        flagsStack.at(-1)
+      ));
     },
-    exit({node}, {flagDirectivesByAlt}) {
+    exit({node}, {flagDirectivesByAlt, flagsStack}) {
+      flagsStack.pop();
       // Wait until exiting to wrap an alternative's nodes with flag groups that extend flag
       // directives from prior sibling alternatives because doing this at the end allows inner
       // nodes to accurately check their level in the tree
@@ -130,11 +226,31 @@ const FirstPassVisitor = {
     },
   },
 
-  Assertion({node, key, container, ast, remove, replaceWith}, {asciiWordBoundaries, ignoreUnsupportedGAnchors, supportedGNodes, wordIsAscii}) {
+  Assertion({node, key, container, ast, remove, replaceWith}, {accuracy, asciiWordBoundaries, emulatedAssertions, flagsStack, ignoreUnsupportedGAnchors, supportedGNodes, unicodeData}) {
     const {kind, negate} = node;
-    if (kind === AstAssertionKinds.line_end) {
+    const {ignoreCase, posixIsAscii, wordIsAscii} = flagsStack.at(-1);
+    if (
+      kind === AstAssertionKinds.grapheme_boundary ||
+      kind === AstAssertionKinds.word_segment_boundary
+    ) {
+      const isExact = kind === AstAssertionKinds.grapheme_boundary &&
+        !!unicodeData?.graphemeClusterBreak;
+      if (accuracy === 'strict' && !isExact) {
+        throw new Error(`Use of "${negate ? r`\Y` : r`\y`}" requires non-strict accuracy`);
+      }
+      const nonBoundary = kind === AstAssertionKinds.grapheme_boundary ?
+        (isExact ?
+          getExactGraphemeNonBoundary(unicodeData.graphemeClusterBreak, ignoreCase) :
+          graphemeNonBoundary
+        ) :
+        wordSegmentNonBoundary;
+      // The start and end of the string are always boundaries
+      const y = `(?:\\A|(?!${nonBoundary}))`;
+      const Y = `(?!\\A)(?=${nonBoundary})`;
+      replaceWith(addTo(emulatedAssertions, parseFragment(negate ? Y : y, {skipLookbehindValidation: true})));
+    } else if (kind === AstAssertionKinds.line_end) {
       // Onig's only line break char is line feed, unlike JS
-      replaceWith(parseFragment(r`(?=\z|\n)`));
+      replaceWith(addTo(emulatedAssertions, parseFragment(r`(?=\z|\n)`)));
     } else if (kind === AstAssertionKinds.line_start) {
       // Onig's only line break char is line feed, unlike JS. Onig's `^` doesn't match after a
       // string-terminating line feed
@@ -157,16 +273,63 @@ const FirstPassVisitor = {
         }
       }
     } else if (kind === AstAssertionKinds.string_end_newline) {
-      replaceWith(parseFragment(r`(?=\n?\z)`));
-    } else if (kind === AstAssertionKinds.word_boundary && !wordIsAscii && !asciiWordBoundaries) {
+      replaceWith(addTo(emulatedAssertions, parseFragment(r`(?=\n?\z)`)));
+    } else if (
+      kind === AstAssertionKinds.word_boundary &&
+      !wordIsAscii &&
+      !posixIsAscii &&
+      !asciiWordBoundaries
+    ) {
       const b = `(?:(?<=${defaultWordChar})(?!${defaultWordChar})|(?<!${defaultWordChar})(?=${defaultWordChar}))`;
       const B = `(?:(?<=${defaultWordChar})(?=${defaultWordChar})|(?<!${defaultWordChar})(?!${defaultWordChar}))`;
-      replaceWith(parseFragment(negate ? B : b));
+      replaceWith(addTo(emulatedAssertions, parseFragment(negate ? B : b)));
     }
     // Kinds `string_end` and `string_start` don't need transformation since JS flag m isn't used.
     // Kinds `lookahead` and `lookbehind` also don't need transformation
   },
 
+  Callout({node, remove, replaceWith}, {accuracy, avoidSubclass, callouts}) {
+    const {name, contents, direction} = node;
+    if (CalloutNames.has(name)) {
+      if (name === 'FAIL') {
+        // Always fails, which triggers backtracking
+        replaceWith(createLookaround({negate: true}));
+      } else if (name === 'MISMATCH' || name === 'SKIP') {
+        // Supported uses were removed by a subclass strategy
+        throw new Error(`Uses callout "(*${name})" in a way that's unsupported`);
+      } else {
+        // `MAX`, `COUNT`, `TOTAL_COUNT`, and `CMP` count how many times the regex engine passes the
+        // callout, including while backtracking, and `ERROR` aborts the search when passed. JS
+        // regexes don't expose these details, so they aren't emulatable
+        throw new Error(`Unsupported callout "(*${name})"; relies on regex engine backtracking details`);
+      }
+      return;
+    }
+    // User-defined callout, which calls a function from option `callouts` with the callout's name,
+    // or `contents` for contents callouts. The generator and subclass handle the rest
+    const isContents = contents !== undefined;
+    if (!hasCalloutFunction(callouts, isContents ? 'contents' : name)) {
+      if (isContents) {
+        // Onig ignores contents callouts if the host doesn't provide a function for them
+        remove();
+        return;
+      }
+      throw new Error(`Undefined callout name "${name}"`);
+    }
+    if (direction && direction !== '>') {
+      throw new Error(`Unsupported callout direction "${direction}"`);
+    }
+    if (avoidSubclass) {
+      throw new Error('Use of user-defined callouts requires the RegExp subclass');
+    }
+    // The subclass matches the pattern up to the callout and then calls its function once, so it
+    // can't backtrack into earlier choices if the function returns `false`, or call it again when
+    // backtracking reaches the callout from a different path
+    if (accuracy === 'strict' && hasPrecedingBacktrackingChoice(node)) {
+      throw new Error(`Use of callout "${isContents ? '(?{…})' : `(*${name})`}" after a backtracking choice requires non-strict accuracy`);
+    }
+  },
+
   CapturingGroup({node}, {subroutineRefMap}) {
     const {name, number} = node;
     if (name && !isValidGroupNameJs(name)) {
@@ -178,23 +341,35 @@ const FirstPassVisitor = {
     }
   },
 
-  CharacterSet({node, replaceWith}, {accuracy, minTargetEs2024, digitIsAscii, spaceIsAscii, wordIsAscii}) {
+  CharacterSet({node, parent, replaceWith}, {accuracy, flagsStack, minTargetEs2024, unicodeData}) {
     const {kind, negate, value} = node;
+    // Flag P (POSIX is ASCII) includes the effects of flags D, S, and W
+    const {digitIsAscii, ignoreCase, posixIsAscii, spaceIsAscii, wordIsAscii} = flagsStack.at(-1);
     // Flag D with `\d`, `\p{Digit}`, `[[:digit:]]``
-    if (digitIsAscii && (kind === AstCharacterSetKinds.digit || value === 'digit')) {
+    if ((digitIsAscii || posixIsAscii) && (kind === AstCharacterSetKinds.digit || value === 'digit')) {
       replaceWith(createCharacterSet(AstCharacterSetKinds.digit, {negate}));
       return;
     }
     // Flag S with `\s`, `\p{Space}`, `[[:space:]]``
-    if (spaceIsAscii && (kind === AstCharacterSetKinds.space || value === 'space')) {
+    if ((spaceIsAscii || posixIsAscii) && (kind === AstCharacterSetKinds.space || value === 'space')) {
       replaceWith(setNegate(parseFragment(asciiSpaceChar), negate));
       return;
     }
     // Flag W with `\w`, `\p{Word}`, `[[:word:]]``
-    if (wordIsAscii && (kind === AstCharacterSetKinds.word || value === 'word')) {
+    if ((wordIsAscii || posixIsAscii) && (kind === AstCharacterSetKinds.word || value === 'word')) {
       replaceWith(createCharacterSet(AstCharacterSetKinds.word, {negate}));
       return;
     }
+    // Flag P with POSIX classes and their equivalent Unicode properties; ex: `[[:alpha:]]`,
+    // `\p{Alpha}`
+    if (
+      posixIsAscii &&
+      (kind === AstCharacterSetKinds.posix || kind === AstCharacterSetKinds.property) &&
+      AsciiPosixClassesMap.has(slug(value))
+    ) {
+      replaceWith(setNegate(parseFragment(AsciiPosixClassesMap.get(slug(value))), negate));
+      return;
+    }
     if (kind === AstCharacterSetKinds.any) {
       replaceWith(createUnicodeProperty('Any'));
     } else if (kind === AstCharacterSetKinds.digit) {
@@ -210,9 +385,31 @@ const FirstPassVisitor = {
       replaceWith(setNegate(parseFragment(defaultWordChar), negate));
     } else if (kind === AstCharacterSetKinds.property) {
       if (!JsUnicodeProperties.has(value)) {
-        // Assume it's a script; no error checking is the price for avoiding heavyweight Unicode
-        // data for all script names
-        node.key = 'sc';
+        const key = slug(value);
+        if (getJsUnicodeScriptName(key)) {
+          // Scripts require a prefix in JS
+          node.key = 'sc';
+          return;
+        }
+        // The parser only allows other names if they're potential blocks (with prefix `In`)
+        if (!unicodeData?.blocks) {
+          throw new Error(r`Unicode block "\p{${value}}" requires block data via option unicodeData`);
+        }
+        if (!unicodeData.blocks.has(key)) {
+          const nearest = getNearestUnicodePropertyName(
+            key,
+            new Map([...unicodeData.blocks].map(([blockKey, {name}]) => [blockKey, name]))
+          );
+          throw new Error(r`Invalid Unicode block "\p{${value}}"${nearest ? `; did you mean "${nearest.name}"?` : ''}`);
+        }
+        // JS doesn't support blocks, so use their ranges. Manually invert the ranges rather than
+        // using `[^…]` so the class can be unwrapped if nested since ES2018 doesn't support nested
+        // classes. Onig doesn't apply case folding to properties outside of classes, so turn off flag i
+        // for them (the block is case folded along with the rest of the class when nested)
+        const blockClass = `[${getRangesPattern(unicodeData.blocks.get(key).ranges, negate)}]`;
+        const isNested = parent.type === AstTypes.CharacterClass ||
+          parent.type === AstTypes.CharacterClassIntersection;
+        replaceWith(parseFragment(ignoreCase && !isNested ? `(?-i:${blockClass})` : blockClass));
       }
     } else if (kind === AstCharacterSetKinds.posix) {
       if (!minTargetEs2024 && (value === 'graph' || value === 'print')) {
@@ -235,6 +432,39 @@ const FirstPassVisitor = {
     }
   },
 
+  Conditional(path, state) {
+    const {node, replaceWith, skip} = path;
+    const {condition} = node;
+    if (!condition) {
+      // Conditionals that check whether a group participated are handled in the last pass, after
+      // backrefs are resolved
+      return;
+    }
+    // Convert `(?(cond)yes|no)` to `(?:(?>cond)yes|(?!cond)no)`. Onig matches the condition
+    // atomically and doesn't try `no` if `yes` fails after the condition matches
+    const originMap = new Map();
+    const negatedCondition = cloneCapturingGroup(condition, originMap, null);
+    if (originMap.size || getAllParents(node, ({kind}) => kind === AstAssertionKinds.lookbehind).length) {
+      // Captures would be duplicated, and Onig's handling within lookbehind is inconsistent
+      throw new Error(`Uses "(?(…)…)" in a way that's unsupported`);
+    }
+    const [yes, ...no] = node.alternatives;
+    const replacement = adoptAndSwapKids(createGroup(), [
+      adoptAndSwapKids(createAlternative(), [
+        prepContainer(createGroup({atomic: true}), [condition]),
+        ...yes.elements,
+      ]),
+      adoptAndSwapKids(createAlternative(), [
+        prepContainer(createLookaround({negate: true}), [negatedCondition]),
+        ...getConditionalBranchNodes(no),
+      ]),
+    ]);
+    replaceWith(replacement);
+    // The condition and branches were moved into the replacement, so traverse them from there
+    skip();
+    traverseReplacement(replacement, path, state, FirstPassVisitor);
+  },
+
   Directive(path, state) {
     const {node, parent, ast, remove, replaceWith, removeAllPrevSiblings, removeAllNextSiblings} = path;
     const {kind, flags} = node;
@@ -243,17 +473,24 @@ const FirstPassVisitor = {
         // Flag directive without flags; ex: `(?-)`, `(?--)`
         remove();
       } else {
-        const flagGroup = prepContainer(createGroup({flags}), removeAllNextSiblings());
+        // Copy the flags since the group's flags are modified when it's traversed, but the
+        // directive's flags are still needed for any subsequent alternatives
+        const flagGroup = prepContainer(createGroup({flags: copyFlagMods(flags)}), removeAllNextSiblings());
         replaceWith(flagGroup);
         traverseReplacement(flagGroup, path, state, FirstPassVisitor);
       }
     } else if (kind === AstDirectiveKinds.keep) {
-      // Allows multiple `\K`s
+      if (state.strategy === 'keep') {
+        // Converted to a capture in the last pass, which the subclass uses to adjust the match
+        return;
+      }
+      // With top-level alternation, converting to lookbehind would let JS find a later alternative's
+      // match before the start of an earlier alternative's match, which Onig would have preferred.
+      // Ex: `ab\Kc|b`. This is handled by subclass strategy `keep` instead
       if (parent.parent !== ast.pattern || ast.pattern.alternatives.length > 1) {
-        // `\K` is emulatable at least within top-level alternation, but it's tricky. Ex: `ab\Kc|a`
-        // is equivalent to `(?<=ab)c|a(?!bc)`, not simply `(?<=ab)c|a`
         throw new Error(r`Uses "\K" in a way that's unsupported`);
       }
+      // Allows multiple `\K`s
       replaceWith(prepContainer(createLookaround({behind: true}), removeAllPrevSiblings()));
     }
   },
@@ -262,6 +499,8 @@ const FirstPassVisitor = {
     // Remove Onig flags that aren't available in JS
     [ 'digitIsAscii', // Flag D
       'extended', // Flag x
+      'findLongest', // Modifier `(?L)`; handled by subclass strategy `find_longest`
+      'posixIsAscii', // Flag P
       'spaceIsAscii', // Flag S
       'wordIsAscii', // Flag W
     ].forEach(f => delete node[f]);
@@ -278,7 +517,8 @@ const FirstPassVisitor = {
       sticky: node.sticky ?? false,
       // Note: Regex+ doesn't allow explicitly adding flags it handles implicitly, so leave out
       // properties `unicode` (JS flag u) and `unicodeSets` (JS flag v). Keep the existing values
-      // for `ignoreCase` (flag i) and `dotAll` (JS flag s, but Onig flag m)
+      // for `ignoreCase` (flag i) and `dotAll` (JS flag s, but Onig flag m). Also keep
+      // `ignoreCaseIsAscii`, which the generator uses to apply case insensitivity without flag i
     });
     // Options accepted by Regex+; see <github.com/slevithan/regex#-options>
     parent.options = {
@@ -298,58 +538,101 @@ const FirstPassVisitor = {
     };
   },
 
-  Group({node}) {
-    if (!node.flags) {
-      return;
-    }
-    const {enable, disable} = node.flags;
-    // Onig's flag x (`extended`) isn't available in JS
-    enable?.extended && delete enable.extended;
-    disable?.extended && delete disable.extended;
-    // JS doesn't support flag groups that enable and disable the same flag; ex: `(?i-i:)`
-    enable?.dotAll && disable?.dotAll && delete enable.dotAll;
-    enable?.ignoreCase && disable?.ignoreCase && delete enable.ignoreCase;
-    // Cleanup
-    enable && !Object.keys(enable).length && delete node.flags.enable;
-    disable && !Object.keys(disable).length && delete node.flags.disable;
-    !node.flags.enable && !node.flags.disable && delete node.flags;
+  Group: {
+    enter({node}, {flagsStack}) {
+      const currentFlags = flagsStack.at(-1);
+      flagsStack.push(node.flags ? getNewCurrentFlags(currentFlags, node.flags) : currentFlags);
+      if (!node.flags) {
+        return;
+      }
+      const {enable, disable} = node.flags;
+      // Remove Onig flags that aren't available in JS
+      [ 'digitIsAscii', // Flag D
+        'extended', // Flag x
+        'posixIsAscii', // Flag P
+        'spaceIsAscii', // Flag S
+        'wordIsAscii', // Flag W
+      ].forEach(f => {
+        enable && delete enable[f];
+        disable && delete disable[f];
+      });
+      // JS doesn't support flag groups that enable and disable the same flag; ex: `(?i-i:)`
+      enable?.dotAll && disable?.dotAll && delete enable.dotAll;
+      enable?.ignoreCase && disable?.ignoreCase && delete enable.ignoreCase;
+      // Cleanup
+      enable && !Object.keys(enable).length && delete node.flags.enable;
+      disable && !Object.keys(disable).length && delete node.flags.disable;
+      !node.flags.enable && !node.flags.disable && delete node.flags;
+    },
+    exit(_, {flagsStack}) {
+      flagsStack.pop();
+    },
   },
 
-  Pattern({node}, {ignoreUnsupportedGAnchors, supportedGNodes}) {
-    // For `\G` to be accurately emulatable using JS flag y, it must be at (and only at) the start
-    // of every top-level alternative (with complex rules for what determines being at the start).
-    // Additional `\G` error checking in `Assertion` visitor
-    const leadingGs = [];
-    let hasAltWithLeadG = false;
-    let hasAltWithoutLeadG = false;
-    for (const alt of node.alternatives) {
-      if (alt.elements.length === 1 && alt.elements[0].kind === AstAssertionKinds.search_start) {
-        // Remove the `\G` (leaving behind an empty alternative, and without adding JS flag y)
-        // since a top-level alternative that includes only `\G` always matches at the start of the
-        // match attempt. Note that this is based on Oniguruma's rules, and is different than other
-        // regex flavors where `\G` matches at the end of the previous match (a subtle distinction
-        // that's relevant after zero-length matches)
-        alt.elements.pop();
-      } else {
-        const leadingG = getLeadingG(alt.elements);
-        if (leadingG) {
-          hasAltWithLeadG = true;
-          Array.isArray(leadingG) ?
-            leadingGs.push(...leadingG) :
-            leadingGs.push(leadingG);
+  Pattern: {
+    enter({node}, {ignoreUnsupportedGAnchors, supportedGNodes}) {
+      // For `\G` to be accurately emulatable using JS flag y, it must be at (and only at) the start
+      // of every top-level alternative (with complex rules for what determines being at the start).
+      // Additional `\G` error checking in `Assertion` visitor
+      const leadingGs = [];
+      let hasAltWithLeadG = false;
+      let hasAltWithoutLeadG = false;
+      for (const alt of node.alternatives) {
+        if (alt.elements.length === 1 && alt.elements[0].kind === AstAssertionKinds.search_start) {
+          // Remove the `\G` (leaving behind an empty alternative, and without adding JS flag y)
+          // since a top-level alternative that includes only `\G` always matches at the start of
+          // the match attempt. Note that this is based on Oniguruma's rules, and is different than
+          // other regex flavors where `\G` matches at the end of the previous match (a subtle
+          // distinction that's relevant after zero-length matches)
+          alt.elements.pop();
         } else {
-          hasAltWithoutLeadG = true;
+          const leadingG = getLeadingG(alt.elements);
+          if (leadingG) {
+            hasAltWithLeadG = true;
+            Array.isArray(leadingG) ?
+              leadingGs.push(...leadingG) :
+              leadingGs.push(leadingG);
+          } else {
+            hasAltWithoutLeadG = true;
+          }
         }
       }
-    }
-    if (hasAltWithLeadG) {
-      if (!hasAltWithoutLeadG) {
-        // Supported `\G` nodes will be removed (and add flag y) when traversed; others will error
-        leadingGs.forEach(g => supportedGNodes.add(g));
-      } else if (!ignoreUnsupportedGAnchors) {
-        throw new Error(r`Uses "\G" in a way that's unsupported`);
+      if (hasAltWithLeadG) {
+        if (!hasAltWithoutLeadG) {
+          // Supported `\G` nodes will be removed (and add flag y) when traversed; others will error
+          leadingGs.forEach(g => supportedGNodes.add(g));
+        } else if (!ignoreUnsupportedGAnchors) {
+          throw new Error(r`Uses "\G" in a way that's unsupported`);
+        }
       }
-    }
+    },
+    exit(_, state) {
+      const {absentClearers, absentStoppers} = state;
+      for (const stopper of absentStoppers) {
+        // Convert absent stopper `(?~|…)` to `(?!…)` before each of the consuming nodes that
+        // follow it, up to a clearer `(?~|)`. Onig limits the rest of the match to positions
+        // before where the absent pattern matches, which is static when the stopper isn't in
+        // alternation or a quantified group
+        let node = stopper;
+        let isCleared = false;
+        while (!isCleared && node.type !== AstTypes.Pattern) {
+          const alt = node.parent;
+          isCleared = temperSiblingsWithAbsent(alt, alt.elements.indexOf(node) + 1, stopper, state);
+          node = alt.parent;
+          if (
+            node.type !== AstTypes.Pattern &&
+            (!isConsumptiveGroup(node) || node.alternatives.length > 1 || node.parent.type === AstTypes.Quantifier)
+          ) {
+            throw new Error(`Uses "${AbsentFunctionForms.stopper}" in a way that's unsupported`);
+          }
+        }
+      }
+      // Stoppers and clearers are zero-length, so remove them after applying their effects
+      [...absentStoppers, ...absentClearers].forEach(node => {
+        const {elements} = node.parent;
+        elements.splice(elements.indexOf(node), 1);
+      });
+    },
   },
 
   Quantifier({node}) {
@@ -362,11 +645,24 @@ const FirstPassVisitor = {
     }
   },
 
-  VariableLengthCharacterSet({node, replaceWith}, {accuracy, minTargetEs2024}) {
+  VariableLengthCharacterSet({node, replaceWith}, {accuracy, flagsStack, minTargetEs2024, unicodeData}) {
     const {kind} = node;
     if (kind === AstVariableLengthCharacterSetKinds.newline) {
       replaceWith(parseFragment('(?>\r\n?|[\n\v\f\x85\u2028\u2029])'));
-    } else if (kind === AstVariableLengthCharacterSetKinds.grapheme) {
+    } else if (kind === AstVariableLengthCharacterSetKinds.grapheme && unicodeData?.graphemeClusterBreak) {
+      // Onig defines `\X` as `(?>\O(?:\Y\O)*)`
+      const nonBoundary = getExactGraphemeNonBoundary(
+        unicodeData.graphemeClusterBreak,
+        flagsStack.at(-1).ignoreCase
+      );
+      replaceWith(parseFragment(
+        r`(?>\p{Any}(?:(?=${nonBoundary})\p{Any})*)`,
+        {skipLookbehindValidation: true}
+      ));
+    } else if (
+      kind === AstVariableLengthCharacterSetKinds.grapheme ||
+      kind === AstVariableLengthCharacterSetKinds.word_segment
+    ) {
       if (accuracy === 'strict') {
         throw new Error(r`Use of "\X" requires non-strict accuracy`);
       }
@@ -374,9 +670,15 @@ const FirstPassVisitor = {
       // emoji using a general pattern that matches any Unicode sequence following the structure of
       // a valid emoji. That actually makes it more accurate for matching any grapheme
       const emoji = minTargetEs2024 ? r`\p{RGI_Emoji}` : emojiRegex().source.replace(/\\u\{/g, `\\x{`);
-      // Close approximation of an extended grapheme cluster. Details: <unicode.org/reports/tr29/>.
+      // Close approximation of an extended grapheme cluster. Details: <unicode.org/reports/tr29/>
+      const grapheme = r`(?>\r\n|${emoji}|\P{M}\p{M}*)`;
+      // A word segment is a series of graphemes with no word boundary between them
+      const wordSegment = `(?>${grapheme}(?:(?=${wordSegmentNonBoundary})${grapheme})*)`;
       // Skip name check to allow `RGI_Emoji` through, which Onig doesn't support
-      replaceWith(parseFragment(r`(?>\r\n|${emoji}|\P{M}\p{M}*)`, {skipPropertyNameValidation: true}));
+      replaceWith(parseFragment(
+        kind === AstVariableLengthCharacterSetKinds.grapheme ? grapheme : wordSegment,
+        {skipLookbehindValidation: true, skipPropertyNameValidation: true}
+      ));
     } else {
       throw new Error(`Unexpected varcharset kind "${kind}"`);
     }
@@ -384,12 +686,17 @@ const FirstPassVisitor = {
 };
 
 const SecondPassVisitor = {
-  Backreference({node}, {multiplexCapturesToLeftByRef, reffedNodesByReferencer}) {
-    const {orphan, ref} = node;
+  Backreference({node}, {capturesToRightByBackref, multiplexCapturesToLeftByRef, reffedNodesByReferencer}) {
+    const {forward, orphan, ref} = node;
     if (!orphan) {
       // Copy the current state for later multiplexing expansion. That's done in a subsequent pass
-      // because backref numbers need to be recalculated after subroutine expansion
-      reffedNodesByReferencer.set(node, [...multiplexCapturesToLeftByRef.get(ref).map(({node}) => node)]);
+      // because backref numbers need to be recalculated after subroutine expansion. Forward
+      // backrefs might not have any captures to their left, unless added by subroutines
+      const multiplexNodes = multiplexCapturesToLeftByRef.get(ref) ?? [];
+      reffedNodesByReferencer.set(node, [...multiplexNodes.map(({node}) => node)]);
+    }
+    if (forward) {
+      capturesToRightByBackref.set(node, []);
     }
   },
 
@@ -399,10 +706,13 @@ const SecondPassVisitor = {
         replaceWith,
         skip,
       },
-      { groupOriginByCopy,
+      { calledGroups,
+        capturesToRightByBackref,
+        groupOriginByCopy,
         groupsByName,
         multiplexCapturesToLeftByRef,
         openRefs,
+        recursedGroups,
         reffedNodesByReferencer,
       }
     ) {
@@ -415,7 +725,10 @@ const SecondPassVisitor = {
         // so don't wrap with a capture. The reffed group might have its name removed due to later
         // subroutine expansion
         const recursion = createRecursion(node.number);
-        reffedNodesByReferencer.set(recursion, openRefs.get(node.number));
+        const reffed = openRefs.get(node.number);
+        reffedNodesByReferencer.set(recursion, reffed);
+        calledGroups.add(origin);
+        recursedGroups.add(reffed);
         replaceWith(recursion);
         // This node's kids have been removed from the tree, so no need to traverse them
         skip();
@@ -454,6 +767,13 @@ const SecondPassVisitor = {
         multiplexCapturesToLeftByRef.get(node.name).push({node, origin});
       }
 
+      // ## Track data for forward backrefs
+      for (const [backref, captures] of capturesToRightByBackref) {
+        if (backref.ref === node.number) {
+          captures.push(node);
+        }
+      }
+
       // ## Track data for duplicate names
       // Pre-ES2025 doesn't allow duplicate names, but ES2025 allows duplicate names that are
       // unique per mutually exclusive alternation path. However, Oniguruma's handling for named
@@ -487,6 +807,11 @@ const SecondPassVisitor = {
     },
   },
 
+  Conditional({node}, {multiplexCapturesToLeftByRef, reffedNodesByReferencer}) {
+    // Copy the current state for later multiplexing expansion, as with backrefs
+    reffedNodesByReferencer.set(node, [...multiplexCapturesToLeftByRef.get(node.ref).map(({node}) => node)]);
+  },
+
   Group: {
     enter({node}, state) {
       // Flag directives have already been converted to flag groups by the previous pass
@@ -500,7 +825,7 @@ const SecondPassVisitor = {
     },
   },
 
-  Recursion({node, parent}, {reffedNodesByReferencer}) {
+  Recursion({node, parent}, {recursedGroups, reffedNodesByReferencer}) {
     // Recursion nodes are created during the current traversal; they're only traversed here if a
     // recursion node created during traversal is then copied by a subroutine expansion, e.g. with
     // `(?<a>\g<a>)\g<a>`
@@ -515,14 +840,20 @@ const SecondPassVisitor = {
     // Track the referenced node because `ref`s are rewritten in a subsequent pass; capturing group
     // names and numbers might change due to subroutine expansion and duplicate group names
     reffedNodesByReferencer.set(node, reffed);
+    recursedGroups.add(reffed);
   },
 
   Subroutine(path, state) {
-    const {node, replaceWith} = path;
+    const {node, ast, replaceWith} = path;
     const {ref} = node;
     const reffedGroupNode = state.subroutineRefMap.get(ref);
     // Other forms of recursion are handled by the `CapturingGroup` visitor
     const isGlobalRecursion = ref === 0;
+    if (isGlobalRecursion) {
+      state.recursedGroups.add(ast.pattern);
+    } else {
+      state.calledGroups.add(reffedGroupNode);
+    }
     const expandedSubroutine = isGlobalRecursion ?
       createRecursion(0) :
       // The reffed group might itself contain subroutines, which are expanded during sub-traversal
@@ -556,8 +887,38 @@ const ThirdPassVisitor = {
       // Don't renumber; used with `allowOrphanBackrefs`
       return;
     }
+    if (node.forward) {
+      // Captures to the right of a backref can only participate via a prior iteration of a
+      // quantified group that contains both. Onig preserves captures from prior iterations, but JS
+      // resets them at the start of each iteration, so the quantifier is split when exiting it
+      const repeaters = getAllParents(node, ({type, max}) => type === AstTypes.Quantifier && max > 1);
+      const priorIterationCaptures = state.capturesToRightByBackref.get(node).filter(reffed => (
+        repeaters.some(quantifier => hasDescendant(quantifier, reffed))
+      ));
+      if (priorIterationCaptures.length) {
+        if (
+          priorIterationCaptures.length > 1 ||
+          repeaters.length > 1 ||
+          state.reffedNodesByReferencer.get(node).length
+        ) {
+          throw new Error('Uses forward backref in a way that\'s unsupported');
+        }
+        // Marks copies made by other emulations, which the split doesn't support
+        node._priorIteration = true;
+        state.priorIterationCaptureByBackref.set(node, priorIterationCaptures[0]);
+        return;
+      }
+    }
     const reffedNodes = state.reffedNodesByReferencer.get(node);
-    const participants = reffedNodes.filter(reffed => canParticipateWithNode(reffed, node));
+    let participants = reffedNodes.filter(reffed => canParticipateWithNode(reffed, node));
+    const hasLevel = node.level !== undefined;
+    if (hasLevel) {
+      participants = getParticipantsAtLevel(node, participants, state);
+      // Onig doesn't multiplex backrefs with a level; it uses the last participating capture
+      if (participants.length > 1) {
+        throw new Error('Uses backref with recursion level in a way that\'s unsupported');
+      }
+    }
     // For the backref's `ref`, use `number` rather than `name` because group names might have been
     // removed if they're duplicates within their alternation path, or they might be removed later
     // by the generator (depending on target) if they're duplicates within the overall pattern.
@@ -574,7 +935,13 @@ const ThirdPassVisitor = {
       ));
       replaceWith(adoptAndSwapKids(createGroup(), alts));
     } else {
-      node.ref = participants[0].number;
+      const [reffed] = participants;
+      node.ref = reffed.number;
+      // Backrefs with a level use the name if available, since `regex-recursion` only allows named
+      // backrefs with recursion; it renames them to refer to captures at the same depth
+      if (hasLevel && reffed.name) {
+        node._name = reffed.name;
+      }
     }
   },
 
@@ -590,6 +957,123 @@ const ThirdPassVisitor = {
     }
   },
 
+  Conditional: {
+    // Wait until exiting so captures within the branches are renumbered
+    exit({node, replaceWith}, state) {
+      const reffedNodes = state.reffedNodesByReferencer.get(node);
+      const participants = reffedNodes.filter(reffed => canParticipateWithNode(reffed, node));
+      const [yes, ...no] = node.alternatives;
+      if (!participants.length) {
+        // If no participating capture, only the `no` branch can match
+        replaceWith(prepContainer(createGroup(), getConditionalBranchNodes(no)));
+        return;
+      }
+      // JS doesn't distinguish between nonparticipating groups and empty captures, so check that a
+      // capture is nonempty. That's only exact for captures that can't match an empty string. In
+      // lookbehind, JS matches from right to left so captures in the same lookbehind aren't set yet
+      const lookbehinds = getAllParents(node, ({kind}) => kind === AstAssertionKinds.lookbehind);
+      if (participants.some(reffed => (
+        !isAlwaysNonEmptyMatch(reffed) ||
+        lookbehinds.some(lookbehind => hasDescendant(lookbehind, reffed))
+      ))) {
+        throw new Error(`Uses "(?(…)…)" in a way that's unsupported`);
+      }
+      // Convert `(?(1)yes|no)` to `(?:(?=\O*\z(?!\1))yes|(?!\O*\z(?!\1))no)`; at the end of the
+      // string, a backref can only match if its capture is empty or didn't participate
+      const getTest = negate => {
+        const anyChars = createQuantifier(createUnicodeProperty('Any'), 0, Infinity, true, false);
+        anyChars.element.parent = anyChars;
+        const captureChecks = participants.map(reffed => adoptAndSwapKids(createAlternative(), [
+          prepContainer(createLookaround({negate: true}), [createBackreference(reffed.number)]),
+        ]));
+        return prepContainer(createLookaround({negate}), [
+          anyChars,
+          createAssertion(AstAssertionKinds.string_end),
+          captureChecks.length > 1 ?
+            adoptAndSwapKids(createGroup(), captureChecks) :
+            captureChecks[0].elements[0],
+        ]);
+      };
+      replaceWith(adoptAndSwapKids(createGroup(), [
+        adoptAndSwapKids(createAlternative(), [getTest(false), ...yes.elements]),
+        adoptAndSwapKids(createAlternative(), [getTest(true), ...getConditionalBranchNodes(no)]),
+      ]));
+    },
+  },
+
+  Directive({node, replaceWith}, state) {
+    // Remaining `\K`s are handled by subclass strategy `keep`. Convert them to empty named captures
+    // that are excluded from results, which the subclass uses to find the keep position
+    if (node.kind === AstDirectiveKinds.keep) {
+      if (state.accuracy === 'strict' && getAllParents(node, parent => (
+        (parent.type === AstTypes.Quantifier && parent.max > 1) || parent.kind === AstAssertionKinds.lookahead
+      )).length) {
+        // JS resets the capture in later iterations that don't pass the `\K`, and Onig's handling of
+        // `\K` in lookahead has edge cases that aren't emulated
+        throw new Error(r`Use of "\K" within a repeated quantifier or lookahead requires non-strict accuracy`);
+      }
+      const number = ++state.numCapturesToLeft;
+      const group = createCapturingGroup(number, `${keepGroupNamePrefix}${number}`);
+      group._keep = true;
+      replaceWith(group);
+    }
+  },
+
+  Quantifier: {
+    // Wait until exiting so captures within the quantified node are renumbered
+    exit({node, ast, replaceWith}, {accuracy, priorIterationCaptureByBackref, referencedCaptures}) {
+      if (node.max > 1 && getDescendants(node.element).some(kid => kid._priorIteration)) {
+        const replacement = getPriorIterationBackrefSplit(node, priorIterationCaptureByBackref, ast);
+        if (!replacement) {
+          throw new Error('Uses forward backref in a way that\'s unsupported');
+        }
+        if (accuracy === 'strict') {
+          // Captures keep their values (which are fixed) and indices from the first iteration they
+          // participate in, rather than the last
+          throw new Error('Use of forward backrefs to captures from prior quantifier iterations requires non-strict accuracy');
+        }
+        replaceWith(replacement);
+        return;
+      }
+      if (node.max && !isAlwaysNonEmptyMatch(node.element)) {
+        // Onig stops repeating after an iteration matches an empty string, keeping the captures
+        // from that iteration. JS instead rejects the iteration and backtracks
+        const emulation = getEmptyIterationEmulation(node, referencedCaptures);
+        if (emulation !== node) {
+          if (emulation) {
+            replaceWith(emulation);
+          } else if (accuracy === 'strict') {
+            throw new Error('Use of quantified nodes that can match an empty string requires non-strict accuracy');
+          }
+          return;
+        }
+      }
+      if (node.max < 2) {
+        return;
+      }
+      // Onig preserves capture values from prior iterations of a quantified group, but JS resets
+      // them at the start of each iteration. That's observable via backrefs and match results if a
+      // capture isn't guaranteed to participate in every iteration
+      const captures = getDescendants(node.element).filter(kid => (
+        kid.type === AstTypes.CapturingGroup &&
+        !kid._keep &&
+        !getAllParents(kid, parent => isLookaround(parent) && parent.negate).some(lookaround => (
+          hasDescendant(node, lookaround)
+        )) &&
+        !mustParticipate(node.element, kid)
+      ));
+      if (!captures.length) {
+        return;
+      }
+      const replacement = getCapturePersistenceSplit(node, captures, referencedCaptures, ast);
+      if (replacement) {
+        replaceWith(replacement);
+      } else if (accuracy === 'strict') {
+        throw new Error('Use of captures that keep values from prior quantifier iterations requires non-strict accuracy');
+      }
+    },
+  },
+
   Recursion({node}, state) {
     if (node.ref === 0) {
       return;
@@ -622,11 +1106,105 @@ const ThirdPassVisitor = {
   },
 };
 
+// Used by `temperWithAbsent`
+const AbsentTemperVisitor = {
+  AbsentFunction({skip}) {
+    // Remaining stoppers and clearers are zero-length, and are applied separately
+    skip();
+  },
+
+  Assertion({node, skip}, {emulatedAssertions}) {
+    // Onig limits lookahead (including absent patterns) to the range, but not lookbehind or
+    // assertions like `$` and `\b`
+    if (node.kind === AstAssertionKinds.lookbehind || emulatedAssertions.has(node)) {
+      skip();
+    }
+  },
+
+  Backreference(_, {absentNode}) {
+    throw new Error(`Uses "${AbsentFunctionForms[absentNode.kind]}" in a way that's unsupported`);
+  },
+
+  Character: temperNodeWithAbsent,
+
+  CharacterClass: temperNodeWithAbsent,
+
+  CharacterSet: temperNodeWithAbsent,
+
+  Group({node, skip}, {emulatedAssertions}) {
+    if (emulatedAssertions.has(node)) {
+      skip();
+    }
+  },
+
+  Subroutine(_, {absentNode}) {
+    throw new Error(`Uses "${AbsentFunctionForms[absentNode.kind]}" in a way that's unsupported`);
+  },
+};
+
+const AbsentFunctionForms = {
+  [AstAbsentFunctionKinds.clearer]: '(?~|)',
+  [AstAbsentFunctionKinds.expression]: '(?~|…|…)',
+  [AstAbsentFunctionKinds.repeater]: '(?~…)',
+  [AstAbsentFunctionKinds.stopper]: '(?~|…)',
+};
+
 // `\t\n\v\f\r\x20`
 const asciiSpaceChar = '[\t-\r ]';
 // Different than `PosixClassesMap`'s `word`
 const defaultWordChar = r`[\p{L}\p{M}\p{N}\p{Pc}]`;
 
+// Close approximation of the positions within an extended grapheme cluster (those that aren't
+// grapheme boundaries), other than the start of the string. Details: <unicode.org/reports/tr29/>
+const graphemeNonBoundary = [
+  // CR LF
+  r`(?<=\r)\n`,
+  // Combining marks, emoji modifiers, and ZWJ extend the preceding char, unless it's a control
+  r`(?<!\p{Cc})[\p{M}\p{EMod}\u200D]`,
+  // Emoji ZWJ sequences
+  r`(?<=\u200D)\p{ExtPict}`,
+  // Pairs of regional indicators (flags)
+  r`(?<=(?<!\p{RI})(?:\p{RI}\p{RI})*\p{RI})\p{RI}`,
+].join('|');
+
+// Node types allowed within quantified groups that are split to preserve capture values
+const persistenceSplitTypes = new Set([
+  AstTypes.Alternative,
+  AstTypes.CapturingGroup,
+  AstTypes.Character,
+  AstTypes.CharacterClass,
+  AstTypes.CharacterClassIntersection,
+  AstTypes.CharacterClassRange,
+  AstTypes.CharacterSet,
+  AstTypes.Group,
+  AstTypes.Quantifier,
+]);
+
+// Approximations used for word segments. Ideographs and Hiragana form single-char words
+const wordSegmentChar = r`(?![\p{Ideo}\u3040-\u309F])[\p{L}\p{N}\p{Pc}]`;
+const wordSegmentIgnorable = r`[\p{M}\p{EMod}\p{Cf}]*`;
+
+// Close approximation of the positions within a word segment (those that aren't word boundaries),
+// other than the start of the string. Uses the same format as `graphemeNonBoundary`
+const wordSegmentNonBoundary = [
+  graphemeNonBoundary,
+  // Format chars like soft hyphen extend the preceding char, unless it's a control
+  r`(?<!\p{Cc})\p{Cf}`,
+  // Runs of horizontal whitespace
+  r`(?<=\p{Zs})\p{Zs}`,
+  // Runs of letters, numbers, and connector punctuation like underscore
+  `(?<=${wordSegmentChar}${wordSegmentIgnorable})${wordSegmentChar}`,
+  // Letters joined by punctuation like `.` and `'`, ex: `can't`
+  ...getMidWordNonBoundaries(r`\p{L}`, r`[.:'\u2019\u00B7]`),
+  // Numbers joined by punctuation like `.` and `,`, ex: `1,000.5`
+  ...getMidWordNonBoundaries(r`\p{N}`, r`[.,;'\u2019]`),
+].join('|');
+
+function addTo(set, value) {
+  set.add(value);
+  return value;
+}
+
 function adoptAndSwapKids(parent, kids) {
   kids.forEach(kid => kid.parent = parent);
   parent[getContainerAccessor(parent)] = kids;
@@ -637,6 +1215,25 @@ function areFlagsEqual(a, b) {
   return a.dotAll === b.dotAll && a.ignoreCase === b.ignoreCase;
 }
 
+// Returns whether the node could match a multichar case fold (or part of one) if case-insensitive
+function canMatchMultiCharCaseFold(node) {
+  if (node.type === AstTypes.CharacterClassRange) {
+    return [...MultiCharCaseFolds.keys()].some(char => {
+      const codePoint = char.codePointAt(0);
+      return codePoint >= node.min.value && codePoint <= node.max.value;
+    });
+  }
+  if (node.type !== AstTypes.Character) {
+    return false;
+  }
+  const char = cp(node.value);
+  // Only literal chars outside of classes can combine to match a multichar case fold
+  return MultiCharCaseFolds.has(char) || (
+    node.parent.type === AstTypes.Alternative &&
+    [...CharsByMultiCharCaseFold.keys()].some(fold => fold.includes(getCaseFold(char)))
+  );
+}
+
 function canParticipateWithNode(capture, node) {
   // Walks to the left (prev siblings), down (sibling descendants), up (parent), then back down
   // (parent's prev sibling descendants) the tree in a loop
@@ -693,6 +1290,13 @@ function cloneCapturingGroup(obj, originMap, up, up2) {
   return store;
 }
 
+function copyFlagMods({enable, disable}) {
+  return {
+    ...(enable && {enable: {...enable}}),
+    ...(disable && {disable: {...disable}}),
+  };
+}
+
 function createRecursion(ref) {
   return {
     type: AstTypes.Recursion,
@@ -710,6 +1314,107 @@ function getAllParents(node, filterFn) {
   return results;
 }
 
+// Returns a replacement for a quantifier with a capture that doesn't always participate, so the
+// capture keeps its value from the last iteration it participated in (as in Onig) rather than being
+// reset by later iterations (as in JS). Ex: `(?:(a)|b)+` becomes `(?:(?:a|b)*(a)(?:b)*|(?:b)+)`.
+// Returns `null` if the rewrite can't be shown to find the same match (with the same captures)
+// first. That requires that iterations which include the capture can't also be matched by other
+// alternatives, so the last such iteration is always at the same position
+function getCapturePersistenceSplit(quantifier, captures, referencedCaptures, ast) {
+  const {element, greedy, min, max, possessive} = quantifier;
+  const [capture] = captures;
+  if (
+    captures.length > 1 ||
+    // JS can't check whether the capture participated (its backrefs would match the empty string if
+    // not) without scanning ahead
+    referencedCaptures.has(capture) ||
+    min > 1 ||
+    max !== Infinity ||
+    element.type !== AstTypes.Group ||
+    // Outer quantifiers would also reset the capture, and JS matches lookbehind from right to left
+    getAllParents(quantifier, node => (
+      (node.type === AstTypes.Quantifier && node.max > 1) || node.kind === AstAssertionKinds.lookbehind
+    )).length ||
+    getDescendants(element).some(kid => (
+      !persistenceSplitTypes.has(kid.type) ||
+      kid.atomic ||
+      (kid.type === AstTypes.CapturingGroup && kid !== capture)
+    ))
+  ) {
+    return null;
+  }
+  const captureAltIndex = element.alternatives.findIndex(alt => hasDescendant(alt, capture));
+  const captureAlt = element.alternatives[captureAltIndex];
+  const otherAlts = element.alternatives.filter(alt => alt !== captureAlt);
+  const firstChar = getFirstNode(captureAlt);
+  if (
+    firstChar?.type !== AstTypes.Character ||
+    getFixedLength(captureAlt) === null ||
+    !mustParticipate(captureAlt, capture) ||
+    !otherAlts.every(isAlwaysNonEmptyMatch)
+  ) {
+    return null;
+  }
+  const char = String.fromCodePoint(firstChar.value);
+  if (
+    (
+      (char.toLowerCase() !== char || char.toUpperCase() !== char) ||
+      // Case-insensitive chars can match multichar case folds, so their length isn't fixed
+      getDescendants(captureAlt).some(canMatchMultiCharCaseFold)
+    ) &&
+    (ast.flags.ignoreCase || [...getAllParents(quantifier), ...getDescendants(element)].some(node => (
+      node.type === AstTypes.Group && node.flags
+    )))
+  ) {
+    return null;
+  }
+  // Other alternatives can't match the capture's iterations if they can't match its first char
+  if (otherAlts.some(alt => getDescendants(alt).some(kid => (
+    [AstTypes.Character, AstTypes.CharacterClass, AstTypes.CharacterSet].includes(kid.type) &&
+    kid.parent.type !== AstTypes.CharacterClass &&
+    kid.parent.type !== AstTypes.CharacterClassIntersection &&
+    matchesCodePoint(kid, firstChar.value) !== false
+  )))) {
+    return null;
+  }
+  const copyWithoutCapture = removeCaptures(cloneCapturingGroup(element, new Map()));
+  const getCopyWithoutCaptureAlt = () => {
+    const copy = cloneCapturingGroup(element, new Map());
+    copy.alternatives.splice(captureAltIndex, 1);
+    return copy;
+  };
+  const quantify = (node, qMin, qMax = Infinity) => {
+    const q = createQuantifier(node, qMin, qMax, greedy, false);
+    node.parent = q;
+    return q;
+  };
+  const withCapture = adoptAndSwapKids(createAlternative(), [
+    quantify(copyWithoutCapture, 0),
+    adoptAndSwapKids(cloneCapturingGroup(element, new Map()), [captureAlt]),
+    quantify(getCopyWithoutCaptureAlt(), 0),
+  ]);
+  const withoutCapture = adoptAndSwapKids(createAlternative(), [quantify(getCopyWithoutCaptureAlt(), 1)]);
+  let replacement = adoptAndSwapKids(
+    createGroup(),
+    greedy ? [withCapture, withoutCapture] : [withoutCapture, withCapture]
+  );
+  if (!min) {
+    replacement = quantify(replacement, 0, 1);
+  }
+  if (possessive) {
+    replacement = prepContainer(createGroup({atomic: true}), [replacement]);
+  }
+  return replacement;
+}
+
+// Returns the nodes to use for a conditional's `no` branch, given all alternatives after the first
+function getConditionalBranchNodes(alts) {
+  if (alts.length > 1) {
+    return [adoptAndSwapKids(createGroup(), alts)];
+  }
+  return alts[0]?.elements ?? [];
+}
+
 // Returns the string key for the container that holds the node's kids
 function getContainerAccessor(node) {
   for (const accessor of ['alternatives', 'classes', 'elements']) {
@@ -747,6 +1452,130 @@ function getCombinedFlagModsFromFlagNodes(flagNodes) {
   return null;
 }
 
+function getDescendants(node) {
+  return (getKids(node) ?? []).flatMap(kid => [kid, ...getDescendants(kid)]);
+}
+
+// Returns the first element, looking into single-alternative groups
+function getFirstNode(alt) {
+  let node = alt.elements[0];
+  while (node && isConsumptiveGroup(node) && node.alternatives.length === 1) {
+    node = node.alternatives[0].elements[0];
+  }
+  return node;
+}
+
+// Returns the length of strings the node can match if it's always the same, else `null`
+function getFixedLength(node) {
+  const {type} = node;
+  if (type === AstTypes.Character || type === AstTypes.CharacterClass || type === AstTypes.CharacterSet) {
+    return 1;
+  }
+  if (type === AstTypes.Alternative) {
+    const lengths = node.elements.map(getFixedLength);
+    return lengths.includes(null) ? null : lengths.reduce((a, b) => a + b, 0);
+  }
+  if (isConsumptiveGroup(node)) {
+    const lengths = node.alternatives.map(getFixedLength);
+    return lengths.every(length => length !== null && length === lengths[0]) ? lengths[0] : null;
+  }
+  if (type === AstTypes.Quantifier && node.min === node.max) {
+    const length = getFixedLength(node.element);
+    return length === null ? null : length * node.min;
+  }
+  return null;
+}
+
+// Returns a replacement for a quantifier whose element can match an empty string, so that (as in
+// Onig) an iteration that matches an empty string ends the repetition and its captures are kept.
+// Returns the quantifier itself if results would be the same in JS, or `null` if unsupported
+function getEmptyIterationEmulation(quantifier, referencedCaptures) {
+  const {element, greedy, min, max, possessive} = quantifier;
+  if (element.type === AstTypes.Backreference) {
+    // Has only one path, so an empty match ends the repetition in JS as well
+    return quantifier;
+  }
+  if (!isConsumptiveGroup(element) || element.atomic) {
+    return null;
+  }
+  const alts = element.alternatives;
+  const captures = [element, ...getDescendants(element)].filter(kid => kid.type === AstTypes.CapturingGroup);
+  // Index of the first alternative that can match an empty string
+  const emptyAltIndex = alts.findIndex(alt => !isAlwaysNonEmptyMatch(alt));
+  const emptyPath = getLastEmptyPath(alts[emptyAltIndex]);
+  const laterAlts = alts.slice(emptyAltIndex + 1);
+  if (max === 1) {
+    if (min || (!captures.length && emptyPath && !laterAlts.length)) {
+      return quantifier;
+    }
+    // Onig treats `X?` like `(?:X|)`, without rejecting empty matches of `X`
+    const optionAlts = [adoptAndSwapKids(createAlternative(), [element]), createAlternative()];
+    return adoptAndSwapKids(createGroup({atomic: possessive}), greedy ? optionAlts : optionAlts.reverse());
+  }
+  if (min > 1 || max !== Infinity) {
+    return null;
+  }
+  if (!greedy && !possessive) {
+    // Lazy repetition ends before trying iterations, so an empty iteration that would end it can
+    // only change the result via its captures
+    return captures.some(capture => referencedCaptures.has(capture)) ? null : quantifier;
+  }
+  if (!emptyPath || !laterAlts.every(isAlwaysNonEmptyMatch)) {
+    return null;
+  }
+  const emptyPathKids = emptyPath.flatMap(node => [node, ...getDescendants(node)]);
+  const hasEmptyPathAssertion = emptyPathKids.some(kid => kid.type === AstTypes.Assertion);
+  if (!captures.length) {
+    if (!laterAlts.length) {
+      return quantifier;
+    }
+    if (hasEmptyPathAssertion) {
+      return null;
+    }
+  } else if (
+    hasEmptyPathAssertion ||
+    captures.some(capture => capture._keep || referencedCaptures.has(capture)) ||
+    // All captures must be set by the empty iteration, since it overwrites the captures from prior
+    // iterations that are emulated by copies without captures
+    captures.length !== emptyPathKids.filter(kid => kid.type === AstTypes.CapturingGroup).length +
+      (element.type === AstTypes.CapturingGroup ? 1 : 0) ||
+    getDescendants(element).some(kid => (
+      !persistenceSplitTypes.has(kid.type) && kid.type !== AstTypes.Assertion
+    ))
+  ) {
+    return null;
+  }
+  // Onig tries (in order) iterations with the alternatives before the empty path, then the empty
+  // path (which ends the repetition), then iterations with the later alternatives. So `(?:a?|b)*`
+  // becomes `(?:a?)*(?:b(?:a?)*)*?`. JS rejects empty iterations in the copies
+  const getCopy = kids => adoptAndSwapKids(
+    createGroup({flags: element.flags && copyFlagMods(element.flags)}),
+    kids.map(alt => removeCaptures(cloneCapturingGroup(alt, new Map())))
+  );
+  const quantify = (node, isGreedy) => {
+    const q = createQuantifier(node, 0, Infinity, isGreedy, false);
+    node.parent = q;
+    return q;
+  };
+  const priorAlts = alts.slice(0, isAlwaysEmptyMatch(alts[emptyAltIndex]) ? emptyAltIndex : emptyAltIndex + 1);
+  const elements = [];
+  if (priorAlts.length) {
+    elements.push(quantify(getCopy(priorAlts), true));
+  }
+  if (laterAlts.length) {
+    elements.push(quantify(prepContainer(createGroup(), [
+      getCopy(laterAlts),
+      ...(priorAlts.length ? [quantify(getCopy(priorAlts), true)] : []),
+    ]), false));
+  }
+  if (element.type === AstTypes.CapturingGroup) {
+    elements.push(adoptAndSwapKids(element, [adoptAndSwapKids(createAlternative(), emptyPath)]));
+  } else {
+    elements.push(...emptyPath);
+  }
+  return prepContainer(createGroup({atomic: possessive}), elements);
+}
+
 function getFlagModsFromFlags({dotAll, ignoreCase}) {
   const mods = {};
   if (dotAll || ignoreCase) {
@@ -775,37 +1604,281 @@ function getKids(node) {
   return accessor && node[accessor];
 }
 
-function getLeadingG(els) {
-  const firstToConsider = els.find(el => (
-    el.kind === AstAssertionKinds.search_start ||
-    isLoneGLookaround(el, {negate: false}) ||
-    !isAlwaysZeroLength(el)
+// Returns copies of the nodes on the node's only path that can match an empty string, or `null` if
+// there isn't exactly one such path or it isn't tried after all paths that match a nonempty string
+function getLastEmptyPath(node) {
+  const {type} = node;
+  if (type === AstTypes.Alternative) {
+    const path = [];
+    for (const kid of node.elements) {
+      const kidPath = getLastEmptyPath(kid);
+      if (!kidPath) {
+        return null;
+      }
+      path.push(...kidPath);
+    }
+    return path;
+  }
+  // Assertions, and groups of assertions without captures (so any path has the same effect), such
+  // as `\b` after it's converted to lookarounds
+  if (type === AstTypes.Assertion || isAlwaysEmptyMatch(node)) {
+    const originMap = new Map();
+    const copy = cloneCapturingGroup(node, originMap);
+    if (type === AstTypes.Assertion || !originMap.size) {
+      return [copy];
+    }
+  }
+  if (isConsumptiveGroup(node)) {
+    const path = !node.atomic && node.alternatives.slice(0, -1).every(isAlwaysNonEmptyMatch) ?
+      getLastEmptyPath(node.alternatives.at(-1)) :
+      null;
+    if (!path || type === AstTypes.Group) {
+      return path;
+    }
+    return [adoptAndSwapKids({...node}, [adoptAndSwapKids(createAlternative(), path)])];
+  }
+  if (
+    type === AstTypes.Quantifier &&
+    !node.min &&
+    (node.greedy || !node.max) &&
+    !node.possessive &&
+    isAlwaysNonEmptyMatch(node.element)
+  ) {
+    return [];
+  }
+  return null;
+}
+
+function getMidWordNonBoundaries(char, mid) {
+  const ign = wordSegmentIgnorable;
+  return [
+    `(?<=${char}${ign})${mid}${ign}${char}`,
+    `(?<=${char}${ign}${mid}${ign})${char}`,
+  ];
+}
+
+// Filters the participants of a backref with recursion level to captures made at the backref's own
+// level plus its `level`. Levels are known statically, except that `regex-recursion` later adds
+// copies of recursed groups at increasing depths. Backrefs there are renamed to refer to captures
+// at the same depth, so other cases where levels might match at some depths aren't supported
+function getParticipantsAtLevel(backref, participants, state) {
+  const {recursedGroups} = state;
+  const targetLevel = getRecursionLevel(backref, state) + backref.level;
+  const backrefRecursed = getAllParents(backref, node => recursedGroups.has(node));
+  const maxTargetLevel = backrefRecursed.length ? Infinity : targetLevel;
+  return participants.filter(reffed => {
+    const level = getRecursionLevel(reffed, state);
+    const reffedRecursed = [reffed, ...getAllParents(reffed)].filter(node => recursedGroups.has(node));
+    if (reffedRecursed.some(node => backrefRecursed.includes(node))) {
+      // Within the same recursion, so copies are at the same depth
+      if (level !== targetLevel) {
+        throw new Error('Uses backref with recursion level in a way that\'s unsupported');
+      }
+      return true;
+    }
+    const maxLevel = reffedRecursed.length ? Infinity : level;
+    if (maxTargetLevel < level || maxLevel < targetLevel) {
+      // Never at the same level
+      return false;
+    }
+    if (maxTargetLevel === level) {
+      return true;
+    }
+    throw new Error('Uses backref with recursion level in a way that\'s unsupported');
+  });
+}
+
+// Returns the exact positions within an extended grapheme cluster (those that aren't grapheme
+// boundaries), other than the start of the string. Uses the same format as `graphemeNonBoundary`.
+// Follows the rules at <unicode.org/reports/tr29/#Grapheme_Cluster_Boundary_Rules>, which Onig uses
+// for `\X`, `\y`, and `\Y`. The rules don't depend on case, so flag i is turned off for them if
+// `ignoreCase` (some marks have case folds to letters; ex: U+0345)
+function getExactGraphemeNonBoundary(data, ignoreCase) {
+  const chars = (...names) => names.map(name => getRangesPattern(data[name])).join('');
+  const control = r`\r\n${chars('Control')}`;
+  const consonant = `[${chars('InCB_Consonant')}]`;
+  const conjunctExtend = `[${chars('InCB_Extend', 'InCB_Linker')}]`;
+  const extPict = `[${chars('Extended_Pictographic')}]`;
+  const ri = r`[\x{1F1E6}-\x{1F1FF}]`;
+  const rules = [
+    // GB3: CR LF
+    r`(?<=\r)\n`,
+    // GB6-GB8: Hangul syllable sequences
+    `(?<=[${chars('L')}])[${chars('L', 'V', 'LV', 'LVT')}]`,
+    `(?<=[${chars('LV', 'V')}])[${chars('V', 'T')}]`,
+    `(?<=[${chars('LVT', 'T')}])[${chars('T')}]`,
+    // GB9, GB9a: Extend, ZWJ, and SpacingMark extend the preceding char, unless it's a control
+    `(?<![${control}])[${chars('Extend', 'SpacingMark')}\\u200D]`,
+    // GB9b: Prepend chars extend into the following char, unless it's a control
+    `(?<=[${chars('Prepend')}])[^${control}]`,
+    // GB9c: Indic conjunct clusters
+    `(?<=${consonant}${conjunctExtend}*[${chars('InCB_Linker')}]${conjunctExtend}*)${consonant}`,
+    // GB11: Emoji ZWJ sequences
+    `(?<=${extPict}[${chars('Extend')}]*\\u200D)${extPict}`,
+    // GB12, GB13: Pairs of regional indicators (flags)
+    `(?<=(?<!${ri})(?:${ri}${ri})*${ri})${ri}`,
+  ];
+  const nonBoundary = rules.join('|');
+  return ignoreCase ? `(?-i:${nonBoundary})` : nonBoundary;
+}
+
+// Returns a replacement for a quantifier with forward backrefs to captures from prior iterations,
+// which Onig keeps but JS resets at the start of each iteration. Iterations are split at the first
+// one where the captures participate, since the backrefs can't match before it and match the
+// captures' fixed values after it. Ex: `(?:\1b|(a))+` becomes `(?:(a)(?:ab|a)*)`. Returns `null` if
+// the rewrite can't be shown to find the same match first. That requires that all captures are in
+// the same alternative, participate whenever it's used, and can only match one string
+function getPriorIterationBackrefSplit(quantifier, captureByBackref, ast) {
+  const {element, greedy, min, max, possessive} = quantifier;
+  const kids = getDescendants(element);
+  const captures = kids.filter(kid => kid.type === AstTypes.CapturingGroup);
+  const captureAlts = new Set(captures.map(capture => (
+    element.alternatives.find(alt => hasDescendant(alt, capture))
+  )));
+  if (
+    element.type !== AstTypes.Group ||
+    element.atomic ||
+    element.flags ||
+    captureAlts.size !== 1 ||
+    // Outer quantifiers would also reset the captures, and JS matches lookbehind from right to left
+    getAllParents(quantifier, node => (
+      (node.type === AstTypes.Quantifier && node.max > 1) || node.kind === AstAssertionKinds.lookbehind
+    )).length ||
+    kids.some(kid => (
+      (!persistenceSplitTypes.has(kid.type) && kid.type !== AstTypes.Backreference) ||
+      (kid._priorIteration && !captureByBackref.has(kid))
+    ))
+  ) {
+    return null;
+  }
+  const [captureAlt] = captureAlts;
+  const isCaseSensitive = !ast.flags.ignoreCase && ![...getAllParents(quantifier), ...kids].some(node => (
+    node.type === AstTypes.Group && node.flags
   ));
-  if (!firstToConsider) {
+  if (captures.some(capture => (
+    !mustParticipate(captureAlt, capture) ||
+    capture.alternatives.length > 1 ||
+    !capture.alternatives[0].elements.every(kid => {
+      const char = cp(kid.value);
+      return kid.type === AstTypes.Character &&
+        (isCaseSensitive || (char.toLowerCase() === char && char.toUpperCase() === char));
+    })
+  ))) {
     return null;
   }
-  if (firstToConsider.kind === AstAssertionKinds.search_start) {
-    return firstToConsider;
+  // Alternatives that require a prior-iteration backref can't match before the captures participate
+  const otherAlts = element.alternatives.filter(alt => (
+    alt !== captureAlt && !alt.elements.some(kid => captureByBackref.has(kid))
+  ));
+  // Iterations without the captures are matched first, so they must also be tried first
+  if (otherAlts.length && (
+    !greedy ||
+    min ||
+    max !== Infinity ||
+    element.alternatives.indexOf(captureAlt) < element.alternatives.indexOf(otherAlts.at(-1))
+  )) {
+    return null;
   }
-  if (isLookaround(firstToConsider)) {
-    return firstToConsider.alternatives[0].elements[0];
+  const copyWithBackrefs = (node, getReplacement) => {
+    const copy = cloneCapturingGroup(node, new Map());
+    const copyKids = getDescendants(copy);
+    getDescendants(node).forEach((kid, i) => {
+      if (captureByBackref.has(kid)) {
+        replaceNode(copyKids[i], getReplacement(copyKids[i], captureByBackref.get(kid)));
+      }
+    });
+    return copy;
+  };
+  const createFail = backref => {
+    const fail = createLookaround({negate: true});
+    // Lookarounds can't be quantified in JS with flag u or v
+    return backref.parent.type === AstTypes.Quantifier ? prepContainer(createGroup(), [fail]) : fail;
+  };
+  const iteration = removeCaptures(copyWithBackrefs(element, (_, capture) => prepContainer(
+    createGroup(),
+    cloneCapturingGroup(capture.alternatives[0].elements, new Map(), null)
+  )));
+  if (!isAlwaysNonEmptyMatch(iteration)) {
+    return null;
   }
-  if (isConsumptiveGroup(firstToConsider)) {
-    const gNodesForGroup = [];
-    // Recursively find `\G` nodes for all alternatives in the group
-    for (const alt of firstToConsider.alternatives) {
-      const leadingG = getLeadingG(alt.elements);
-      if (!leadingG) {
-        // Don't return `gNodesForGroup` collected so far since this alt didn't qualify
-        return null;
+  const quantify = (node, qMin, qMax = Infinity) => {
+    const q = createQuantifier(node, qMin, qMax, greedy, false);
+    node.parent = q;
+    return q;
+  };
+  // Keep the original captures, which participate in the first iteration that uses them
+  getDescendants(captureAlt).filter(kid => captureByBackref.has(kid)).forEach(backref => {
+    replaceNode(backref, createFail(backref));
+  });
+  let replacement = adoptAndSwapKids(createGroup(), [adoptAndSwapKids(createAlternative(), [
+    ...captureAlt.elements,
+    quantify(iteration, Math.max(min - 1, 0), max - 1),
+  ])]);
+  if (!min) {
+    replacement = quantify(replacement, 0, 1);
+  }
+  if (otherAlts.length) {
+    replacement = prepContainer(createGroup(), [
+      quantify(adoptAndSwapKids(createGroup(), otherAlts.map(alt => copyWithBackrefs(alt, createFail))), 0),
+      replacement,
+    ]);
+  }
+  if (possessive) {
+    replacement = prepContainer(createGroup({atomic: true}), [replacement]);
+  }
+  return replacement;
+}
+
+// Returns class contents (in Onig syntax) that match the code point ranges, or that match all other
+// code points if `negate`
+function getRangesPattern(ranges, negate) {
+  if (negate) {
+    const inverted = [];
+    let nextStart = 0;
+    for (const [start, end] of ranges) {
+      if (start > nextStart) {
+        inverted.push([nextStart, start - 1]);
       }
-      Array.isArray(leadingG) ?
-        gNodesForGroup.push(...leadingG) :
-        gNodesForGroup.push(leadingG);
+      nextStart = end + 1;
     }
-    return gNodesForGroup;
+    if (nextStart <= 0x10FFFF) {
+      inverted.push([nextStart, 0x10FFFF]);
+    }
+    ranges = inverted;
   }
-  return null;
+  const escape = codePoint => r`\x{${codePoint.toString(16)}}`;
+  return ranges.map(([start, end]) => start === end ? escape(start) : `${escape(start)}-${escape(end)}`).join('');
+}
+
+// Returns the number of groups referenced by subroutines (including recursion) that contain the
+// node or are the node. Onig increases the recursion level when entering these groups, including
+// when they aren't entered via a subroutine
+function getRecursionLevel(node, {calledGroups, groupOriginByCopy}) {
+  return [node, ...getAllParents(node)].filter(n => (
+    n.type === AstTypes.CapturingGroup && calledGroups.has(groupOriginByCopy.get(n) ?? n)
+  )).length;
+}
+
+// Whether the node has a choice point that backtracking can return to, not counting choices within
+// atomic groups and lookarounds. Subroutines are treated as choices since they might reference one
+function hasBacktrackingChoice(node) {
+  if ((node.type === AstTypes.Group && node.atomic) || isLookaround(node)) {
+    return false;
+  }
+  return (
+    (node.alternatives?.length > 1 && node.type !== AstTypes.Conditional) ||
+    (node.type === AstTypes.Quantifier && node.min !== node.max && !node.possessive) ||
+    node.type === AstTypes.AbsentFunction ||
+    node.type === AstTypes.Subroutine ||
+    (getKids(node) ?? []).some(hasBacktrackingChoice)
+  );
+}
+
+// Ignores inherited properties so names like `toString` aren't treated as defined
+function hasCalloutFunction(callouts, key) {
+  return !!callouts &&
+    Object.prototype.hasOwnProperty.call(callouts, key) &&
+    typeof callouts[key] === 'function';
 }
 
 function hasDescendant(node, descendant) {
@@ -821,12 +1894,81 @@ function hasDescendant(node, descendant) {
   return false;
 }
 
+// Whether any node that precedes the node in its alternative, or that precedes any of its parents in
+// their alternatives, has a choice point that backtracking can return to
+function hasPrecedingBacktrackingChoice(node) {
+  for (let kid = node; kid.parent; kid = kid.parent) {
+    const {parent} = kid;
+    if (
+      parent.type === AstTypes.Alternative &&
+      parent.elements.slice(0, parent.elements.indexOf(kid)).some(hasBacktrackingChoice)
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+// Find longest mode is emulated by comparing the matches of top-level alternatives, so it doesn't
+// apply to other choices that can change the match length, such as nested alternation (not counting
+// conditionals, where the condition picks the path), nonpossessive quantifiers with variable
+// repetition, absent functions, and recursion of the whole pattern
+function hasUncomparedFindLongestChoice(ast) {
+  return getDescendants(ast.pattern).some(node => (
+    (node.alternatives?.length > 1 && node.type !== AstTypes.Conditional) ||
+    (node.type === AstTypes.Quantifier && node.min !== node.max && !node.possessive) ||
+    node.type === AstTypes.AbsentFunction ||
+    (node.type === AstTypes.Subroutine && node.ref === 0)
+  ));
+}
+
 function isValidGroupNameJs(name) {
   // JS group names are more restrictive than Onig; see
   // <developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Lexical_grammar#identifiers>
   return /^[$_\p{IDS}][$\u200C\u200D\p{IDC}]*$/u.test(name);
 }
 
+// Returns whether a char-matching node matches the code point, or `null` if unknown. Ignores case
+function matchesCodePoint(node, value) {
+  const {type} = node;
+  if (type === AstTypes.Character) {
+    return node.value === value;
+  }
+  if (type === AstTypes.CharacterClassRange) {
+    return node.min.value <= value && value <= node.max.value;
+  }
+  if (type === AstTypes.CharacterClass) {
+    const results = node.elements.map(kid => matchesCodePoint(kid, value));
+    if (results.includes(true)) {
+      return !node.negate;
+    }
+    return results.includes(null) ? null : node.negate;
+  }
+  if (type === AstTypes.CharacterClassIntersection) {
+    const results = node.classes.map(kid => matchesCodePoint(kid, value));
+    return results.includes(false) ? false : (results.includes(null) ? null : true);
+  }
+  return null;
+}
+
+// Returns whether the capture participates in every match of the node
+function mustParticipate(node, capture) {
+  if (node === capture) {
+    return true;
+  }
+  const {type} = node;
+  if (type === AstTypes.Alternative) {
+    return node.elements.some(kid => mustParticipate(kid, capture));
+  }
+  if (isConsumptiveGroup(node) || (isLookaround(node) && !node.negate)) {
+    return node.alternatives.every(alt => mustParticipate(alt, capture));
+  }
+  if (type === AstTypes.Quantifier) {
+    return !!node.min && mustParticipate(node.element, capture);
+  }
+  return false;
+}
+
 // Returns a single node, either the given node or all nodes wrapped in a noncapturing group
 function parseFragment(pattern, options) {
   const ast = parse(tokenize(pattern), options);
@@ -847,11 +1989,84 @@ function prepContainer(node, kids) {
   return node;
 }
 
+// Replaces captures within the node (or the node itself) with noncapturing groups
+function removeCaptures(node) {
+  [node, ...getDescendants(node)].filter(kid => kid.type === AstTypes.CapturingGroup).forEach(capture => {
+    const {parent} = capture;
+    const group = setParent(adoptAndSwapKids(createGroup(), capture.alternatives), parent);
+    if (!parent) {
+      node = group;
+    } else if (parent.type === AstTypes.Quantifier) {
+      parent.element = group;
+    } else {
+      const container = getKids(parent);
+      container[container.indexOf(capture)] = group;
+    }
+  });
+  return node;
+}
+
+function replaceNode(node, replacement) {
+  const {parent} = node;
+  setParent(replacement, parent);
+  if (parent.type === AstTypes.Quantifier) {
+    parent.element = replacement;
+  } else {
+    const container = getKids(parent);
+    container[container.indexOf(node)] = replacement;
+  }
+  return replacement;
+}
+
 function setNegate(node, negate) {
   node.negate = negate;
   return node;
 }
 
+function setParent(node, parent) {
+  node.parent = parent;
+  return node;
+}
+
+// Tempers the node's consuming descendants (or the node itself) with the absent pattern
+function temperWithAbsent(path, absentNode, state) {
+  traverse(path, {...state, absentNode}, AbsentTemperVisitor);
+}
+
+function temperNodeWithAbsent({node, replaceWith, skip}, {absentNode}) {
+  const originMap = new Map();
+  const absentAlts = cloneCapturingGroup(absentNode.alternatives, originMap);
+  if (originMap.size) {
+    // Copies of captures would be duplicates
+    throw new Error(`Uses "${AbsentFunctionForms[absentNode.kind]}" in a way that's unsupported`);
+  }
+  replaceWith(prepContainer(createGroup(), [
+    adoptAndSwapKids(createLookaround({negate: true}), absentAlts),
+    node,
+  ]));
+  skip();
+}
+
+// Tempers an alternative's elements starting at the given index, until reaching a clearer `(?~|)`
+// at the same level or via single-alternative groups. Returns whether a clearer was reached
+function temperSiblingsWithAbsent(alt, startIndex, absentNode, state) {
+  const {elements} = alt;
+  for (let i = startIndex; i < elements.length; i++) {
+    const el = elements[i];
+    if (el.kind === AstAbsentFunctionKinds.clearer) {
+      return true;
+    }
+    if (state.absentClearers.some(clearer => hasDescendant(el, clearer))) {
+      if (!isConsumptiveGroup(el) || el.alternatives.length > 1) {
+        throw new Error(`Uses "${AbsentFunctionForms.clearer}" in a way that's unsupported`);
+      }
+      return temperSiblingsWithAbsent(el.alternatives[0], 0, absentNode, state);
+    }
+    temperWithAbsent({node: el, parent: alt, key: i, container: elements}, absentNode, state);
+  }
+  return false;
+}
+
 function traverseReplacement(replacement, {parent, key, container}, state, visitor) {
   traverse({
     // Don't use the `node` from `path`
@@ -67,6 +67,7 @@ function traverse(path, state, visitor) {
           }
           break;
         case AstTypes.Backreference:
+        case AstTypes.Callout:
         case AstTypes.Character:
         case AstTypes.CharacterSet:
         case AstTypes.Directive:
@@ -75,11 +76,22 @@ function traverse(path, state, visitor) {
         case AstTypes.Subroutine:
         case AstTypes.VariableLengthCharacterSet:
           break;
+        case AstTypes.AbsentFunction:
+          // Range clearer `(?~|)` has no kids
+          node.alternatives && traverseArray(node.alternatives, node);
+          // Absent expression `(?~|…|…)`
+          node.expression && traverseNode(node.expression, node, 'expression');
+          break;
         case AstTypes.CapturingGroup:
         case AstTypes.Group:
         case AstTypes.Pattern:
           traverseArray(node.alternatives, node);
           break;
+        case AstTypes.Conditional:
+          // Subexpression condition
+          node.condition && traverseNode(node.condition, node, 'condition');
+          traverseArray(node.alternatives, node);
+          break;
         case AstTypes.CharacterClassIntersection:
           traverseArray(node.classes, node);
           break;
@@ -0,0 +1,359 @@
+// Opt-in Unicode block data, for use with option `unicodeData`. It's kept out of the main bundle
+// since blocks are rarely used and their data adds weight. Oniguruma supports blocks via
+// `\p{In_…}`, with insignificant spaces, hyphens, underscores, and casing in names (same as for
+// other Unicode properties). Based on <unicode.org/Public/14.0.0/ucd/Blocks.txt>
+
+// Each line has a block's start and end code points (hex) and its name, in code point order
+const blockData =
+`0 7F Basic_Latin
+80 FF Latin_1_Supplement
+100 17F Latin_Extended_A
+180 24F Latin_Extended_B
+250 2AF IPA_Extensions
+2B0 2FF Spacing_Modifier_Letters
+300 36F Combining_Diacritical_Marks
+370 3FF Greek_and_Coptic
+400 4FF Cyrillic
+500 52F Cyrillic_Supplement
+530 58F Armenian
+590 5FF Hebrew
+600 6FF Arabic
+700 74F Syriac
+750 77F Arabic_Supplement
+780 7BF Thaana
+7C0 7FF NKo
+800 83F Samaritan
+840 85F Mandaic
+860 86F Syriac_Supplement
+870 89F Arabic_Extended_B
+8A0 8FF Arabic_Extended_A
+900 97F Devanagari
+980 9FF Bengali
+A00 A7F Gurmukhi
+A80 AFF Gujarati
+B00 B7F Oriya
+B80 BFF Tamil
+C00 C7F Telugu
+C80 CFF Kannada
+D00 D7F Malayalam
+D80 DFF Sinhala
+E00 E7F Thai
+E80 EFF Lao
+F00 FFF Tibetan
+1000 109F Myanmar
+10A0 10FF Georgian
+1100 11FF Hangul_Jamo
+1200 137F Ethiopic
+1380 139F Ethiopic_Supplement
+13A0 13FF Cherokee
+1400 167F Unified_Canadian_Aboriginal_Syllabics
+1680 169F Ogham
+16A0 16FF Runic
+1700 171F Tagalog
+1720 173F Hanunoo
+1740 175F Buhid
+1760 177F Tagbanwa
+1780 17FF Khmer
+1800 18AF Mongolian
+18B0 18FF Unified_Canadian_Aboriginal_Syllabics_Extended
+1900 194F Limbu
+1950 197F Tai_Le
+1980 19DF New_Tai_Lue
+19E0 19FF Khmer_Symbols
+1A00 1A1F Buginese
+1A20 1AAF Tai_Tham
+1AB0 1AFF Combining_Diacritical_Marks_Extended
+1B00 1B7F Balinese
+1B80 1BBF Sundanese
+1BC0 1BFF Batak
+1C00 1C4F Lepcha
+1C50 1C7F Ol_Chiki
+1C80 1C8F Cyrillic_Extended_C
+1C90 1CBF Georgian_Extended
+1CC0 1CCF Sundanese_Supplement
+1CD0 1CFF Vedic_Extensions
+1D00 1D7F Phonetic_Extensions
+1D80 1DBF Phonetic_Extensions_Supplement
+1DC0 1DFF Combining_Diacritical_Marks_Supplement
+1E00 1EFF Latin_Extended_Additional
+1F00 1FFF Greek_Extended
+2000 206F General_Punctuation
+2070 209F Superscripts_and_Subscripts
+20A0 20CF Currency_Symbols
+20D0 20FF Combining_Diacritical_Marks_for_Symbols
+2100 214F Letterlike_Symbols
+2150 218F Number_Forms
+2190 21FF Arrows
+2200 22FF Mathematical_Operators
+2300 23FF Miscellaneous_Technical
+2400 243F Control_Pictures
+2440 245F Optical_Character_Recognition
+2460 24FF Enclosed_Alphanumerics
+2500 257F Box_Drawing
+2580 259F Block_Elements
+25A0 25FF Geometric_Shapes
+2600 26FF Miscellaneous_Symbols
+2700 27BF Dingbats
+27C0 27EF Miscellaneous_Mathematical_Symbols_A
+27F0 27FF Supplemental_Arrows_A
+2800 28FF Braille_Patterns
+2900 297F Supplemental_Arrows_B
+2980 29FF Miscellaneous_Mathematical_Symbols_B
+2A00 2AFF Supplemental_Mathematical_Operators
+2B00 2BFF Miscellaneous_Symbols_and_Arrows
+2C00 2C5F Glagolitic
+2C60 2C7F Latin_Extended_C
+2C80 2CFF Coptic
+2D00 2D2F Georgian_Supplement
+2D30 2D7F Tifinagh
+2D80 2DDF Ethiopic_Extended
+2DE0 2DFF Cyrillic_Extended_A
+2E00 2E7F Supplemental_Punctuation
+2E80 2EFF CJK_Radicals_Supplement
+2F00 2FDF Kangxi_Radicals
+2FF0 2FFF Ideographic_Description_Characters
+3000 303F CJK_Symbols_and_Punctuation
+3040 309F Hiragana
+30A0 30FF Katakana
+3100 312F Bopomofo
+3130 318F Hangul_Compatibility_Jamo
+3190 319F Kanbun
+31A0 31BF Bopomofo_Extended
+31C0 31EF CJK_Strokes
+31F0 31FF Katakana_Phonetic_Extensions
+3200 32FF Enclosed_CJK_Letters_and_Months
+3300 33FF CJK_Compatibility
+3400 4DBF CJK_Unified_Ideographs_Extension_A
+4DC0 4DFF Yijing_Hexagram_Symbols
+4E00 9FFF CJK_Unified_Ideographs
+A000 A48F Yi_Syllables
+A490 A4CF Yi_Radicals
+A4D0 A4FF Lisu
+A500 A63F Vai
+A640 A69F Cyrillic_Extended_B
+A6A0 A6FF Bamum
+A700 A71F Modifier_Tone_Letters
+A720 A7FF Latin_Extended_D
+A800 A82F Syloti_Nagri
+A830 A83F Common_Indic_Number_Forms
+A840 A87F Phags_pa
+A880 A8DF Saurashtra
+A8E0 A8FF Devanagari_Extended
+A900 A92F Kayah_Li
+A930 A95F Rejang
+A960 A97F Hangul_Jamo_Extended_A
+A980 A9DF Javanese
+A9E0 A9FF Myanmar_Extended_B
+AA00 AA5F Cham
+AA60 AA7F Myanmar_Extended_A
+AA80 AADF Tai_Viet
+AAE0 AAFF Meetei_Mayek_Extensions
+AB00 AB2F Ethiopic_Extended_A
+AB30 AB6F Latin_Extended_E
+AB70 ABBF Cherokee_Supplement
+ABC0 ABFF Meetei_Mayek
+AC00 D7AF Hangul_Syllables
+D7B0 D7FF Hangul_Jamo_Extended_B
+D800 DB7F High_Surrogates
+DB80 DBFF High_Private_Use_Surrogates
+DC00 DFFF Low_Surrogates
+E000 F8FF Private_Use_Area
+F900 FAFF CJK_Compatibility_Ideographs
+FB00 FB4F Alphabetic_Presentation_Forms
+FB50 FDFF Arabic_Presentation_Forms_A
+FE00 FE0F Variation_Selectors
+FE10 FE1F Vertical_Forms
+FE20 FE2F Combining_Half_Marks
+FE30 FE4F CJK_Compatibility_Forms
+FE50 FE6F Small_Form_Variants
+FE70 FEFF Arabic_Presentation_Forms_B
+FF00 FFEF Halfwidth_and_Fullwidth_Forms
+FFF0 FFFF Specials
+10000 1007F Linear_B_Syllabary
+10080 100FF Linear_B_Ideograms
+10100 1013F Aegean_Numbers
+10140 1018F Ancient_Greek_Numbers
+10190 101CF Ancient_Symbols
+101D0 101FF Phaistos_Disc
+10280 1029F Lycian
+102A0 102DF Carian
+102E0 102FF Coptic_Epact_Numbers
+10300 1032F Old_Italic
+10330 1034F Gothic
+10350 1037F Old_Permic
+10380 1039F Ugaritic
+103A0 103DF Old_Persian
+10400 1044F Deseret
+10450 1047F Shavian
+10480 104AF Osmanya
+104B0 104FF Osage
+10500 1052F Elbasan
+10530 1056F Caucasian_Albanian
+10570 105BF Vithkuqi
+10600 1077F Linear_A
+10780 107BF Latin_Extended_F
+10800 1083F Cypriot_Syllabary
+10840 1085F Imperial_Aramaic
+10860 1087F Palmyrene
+10880 108AF Nabataean
+108E0 108FF Hatran
+10900 1091F Phoenician
+10920 1093F Lydian
+10980 1099F Meroitic_Hieroglyphs
+109A0 109FF Meroitic_Cursive
+10A00 10A5F Kharoshthi
+10A60 10A7F Old_South_Arabian
+10A80 10A9F Old_North_Arabian
+10AC0 10AFF Manichaean
+10B00 10B3F Avestan
+10B40 10B5F Inscriptional_Parthian
+10B60 10B7F Inscriptional_Pahlavi
+10B80 10BAF Psalter_Pahlavi
+10C00 10C4F Old_Turkic
+10C80 10CFF Old_Hungarian
+10D00 10D3F Hanifi_Rohingya
+10E60 10E7F Rumi_Numeral_Symbols
+10E80 10EBF Yezidi
+10F00 10F2F Old_Sogdian
+10F30 10F6F Sogdian
+10F70 10FAF Old_Uyghur
+10FB0 10FDF Chorasmian
+10FE0 10FFF Elymaic
+11000 1107F Brahmi
+11080 110CF Kaithi
+110D0 110FF Sora_Sompeng
+11100 1114F Chakma
+11150 1117F Mahajani
+11180 111DF Sharada
+111E0 111FF Sinhala_Archaic_Numbers
+11200 1124F Khojki
+11280 112AF Multani
+112B0 112FF Khudawadi
+11300 1137F Grantha
+11400 1147F Newa
+11480 114DF Tirhuta
+11580 115FF Siddham
+11600 1165F Modi
+11660 1167F Mongolian_Supplement
+11680 116CF Takri
+11700 1174F Ahom
+11800 1184F Dogra
+118A0 118FF Warang_Citi
+11900 1195F Dives_Akuru
+119A0 119FF Nandinagari
+11A00 11A4F Zanabazar_Square
+11A50 11AAF Soyombo
+11AB0 11ABF Unified_Canadian_Aboriginal_Syllabics_Extended_A
+11AC0 11AFF Pau_Cin_Hau
+11C00 11C6F Bhaiksuki
+11C70 11CBF Marchen
+11D00 11D5F Masaram_Gondi
+11D60 11DAF Gunjala_Gondi
+11EE0 11EFF Makasar
+11FB0 11FBF Lisu_Supplement
+11FC0 11FFF Tamil_Supplement
+12000 123FF Cuneiform
+12400 1247F Cuneiform_Numbers_and_Punctuation
+12480 1254F Early_Dynastic_Cuneiform
+12F90 12FFF Cypro_Minoan
+13000 1342F Egyptian_Hieroglyphs
+13430 1343F Egyptian_Hieroglyph_Format_Controls
+14400 1467F Anatolian_Hieroglyphs
+16800 16A3F Bamum_Supplement
+16A40 16A6F Mro
+16A70 16ACF Tangsa
+16AD0 16AFF Bassa_Vah
+16B00 16B8F Pahawh_Hmong
+16E40 16E9F Medefaidrin
+16F00 16F9F Miao
+16FE0 16FFF Ideographic_Symbols_and_Punctuation
+17000 187FF Tangut
+18800 18AFF Tangut_Components
+18B00 18CFF Khitan_Small_Script
+18D00 18D7F Tangut_Supplement
+1AFF0 1AFFF Kana_Extended_B
+1B000 1B0FF Kana_Supplement
+1B100 1B12F Kana_Extended_A
+1B130 1B16F Small_Kana_Extension
+1B170 1B2FF Nushu
+1BC00 1BC9F Duployan
+1BCA0 1BCAF Shorthand_Format_Controls
+1CF00 1CFCF Znamenny_Musical_Notation
+1D000 1D0FF Byzantine_Musical_Symbols
+1D100 1D1FF Musical_Symbols
+1D200 1D24F Ancient_Greek_Musical_Notation
+1D2E0 1D2FF Mayan_Numerals
+1D300 1D35F Tai_Xuan_Jing_Symbols
+1D360 1D37F Counting_Rod_Numerals
+1D400 1D7FF Mathematical_Alphanumeric_Symbols
+1D800 1DAAF Sutton_SignWriting
+1DF00 1DFFF Latin_Extended_G
+1E000 1E02F Glagolitic_Supplement
+1E100 1E14F Nyiakeng_Puachue_Hmong
+1E290 1E2BF Toto
+1E2C0 1E2FF Wancho
+1E7E0 1E7FF Ethiopic_Extended_B
+1E800 1E8DF Mende_Kikakui
+1E900 1E95F Adlam
+1EC70 1ECBF Indic_Siyaq_Numbers
+1ED00 1ED4F Ottoman_Siyaq_Numbers
+1EE00 1EEFF Arabic_Mathematical_Alphabetic_Symbols
+1F000 1F02F Mahjong_Tiles
+1F030 1F09F Domino_Tiles
+1F0A0 1F0FF Playing_Cards
+1F100 1F1FF Enclosed_Alphanumeric_Supplement
+1F200 1F2FF Enclosed_Ideographic_Supplement
+1F300 1F5FF Miscellaneous_Symbols_and_Pictographs
+1F600 1F64F Emoticons
+1F650 1F67F Ornamental_Dingbats
+1F680 1F6FF Transport_and_Map_Symbols
+1F700 1F77F Alchemical_Symbols
+1F780 1F7FF Geometric_Shapes_Extended
+1F800 1F8FF Supplemental_Arrows_C
+1F900 1F9FF Supplemental_Symbols_and_Pictographs
+1FA00 1FA6F Chess_Symbols
+1FA70 1FAFF Symbols_and_Pictographs_Extended_A
+1FB00 1FBFF Symbols_for_Legacy_Computing
+20000 2A6DF CJK_Unified_Ideographs_Extension_B
+2A700 2B73F CJK_Unified_Ideographs_Extension_C
+2B740 2B81F CJK_Unified_Ideographs_Extension_D
+2B820 2CEAF CJK_Unified_Ideographs_Extension_E
+2CEB0 2EBEF CJK_Unified_Ideographs_Extension_F
+2F800 2FA1F CJK_Compatibility_Ideographs_Supplement
+30000 3134F CJK_Unified_Ideographs_Extension_G
+E0000 E007F Tags
+E0100 E01EF Variation_Selectors_Supplement
+F0000 FFFFF Supplementary_Private_Use_Area_A
+100000 10FFFF Supplementary_Private_Use_Area_B`;
+
+/**
+Unicode blocks with their display names (ex: `In_Basic_Latin`) and code point ranges, keyed by
+slugged block name with the `in` prefix (ex: `inbasiclatin`). Each block is a single range, except
+`In_No_Block`, which covers all code points not in a block.
+@type {Map<string, {name: string; ranges: Array<[number, number]>}>}
+*/
+const UnicodeBlocks = new Map();
+const noBlock = [];
+let nextStart = 0;
+for (const line of blockData.split('\n')) {
+  const [start, end, name] = line.split(' ');
+  const range = /** @type {[number, number]} */ ([parseInt(start, 16), parseInt(end, 16)]);
+  if (range[0] > nextStart) {
+    noBlock.push([nextStart, range[0] - 1]);
+  }
+  nextStart = range[1] + 1;
+  UnicodeBlocks.set(slug(`In_${name}`), {name: `In_${name}`, ranges: [range]});
+}
+if (nextStart <= 0x10FFFF) {
+  noBlock.push([nextStart, 0x10FFFF]);
+}
+UnicodeBlocks.set(slug('In_No_Block'), {name: 'In_No_Block', ranges: noBlock});
+
+// Same as `slug` in `unicode.js`, repeated so this module doesn't pull in the library's internals
+function slug(name) {
+  return name.replace(/[- _]+/g, '').toLowerCase();
+}
+
+export {
+  UnicodeBlocks,
+};
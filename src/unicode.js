@@ -1,11 +1,36 @@
-import {cp, r} from './utils.js';
+import {cp, getOrCreate, r} from './utils.js';
 
 const CharsWithoutIgnoreCaseExpansion = new Set([
   cp(0x130), // İ
   cp(0x131), // ı
 ]);
 
-function getIgnoreCaseMatchChars(char) {
+// Returns the char's case fold (which is multiple chars for some chars), used by Oniguruma to
+// compare chars with flag i
+function getCaseFold(char, turkic) {
+  if (turkic && TurkicCaseFolds.has(char)) {
+    return TurkicCaseFolds.get(char);
+  }
+  if (MultiCharCaseFolds.has(char)) {
+    return MultiCharCaseFolds.get(char);
+  }
+  if (CharsWithoutIgnoreCaseExpansion.has(char)) {
+    return char;
+  }
+  // Simple case folding; chars with multichar folds are handled above
+  return char.toLowerCase().toUpperCase().toLowerCase();
+}
+
+function getIgnoreCaseMatchChars(char, options) {
+  // With ASCII ignore-case, only ASCII letters match their other case
+  if (options?.asciiOnly) {
+    return /^[A-Za-z]$/.test(char) ? [char.toUpperCase(), char.toLowerCase()] : [char];
+  }
+  // With Turkic case folding, dotted and dotless i each have their own case pair
+  if (options?.turkic && TurkicCaseFolds.has(char)) {
+    const fold = TurkicCaseFolds.get(char);
+    return [...TurkicCaseFolds.keys()].filter(key => TurkicCaseFolds.get(key) === fold);
+  }
   // Some chars should not match the chars they case swap to
   if (CharsWithoutIgnoreCaseExpansion.has(char)) {
     return [char];
@@ -31,17 +56,48 @@ function getIgnoreCaseMatchChars(char) {
   return [...set];
 }
 
+// Returns the JS name of a Unicode script or script alias, given its slugged name
+function getJsUnicodeScriptName(slugged) {
+  return getJsUnicodeScriptsMap().get(slugged);
+}
+
+function getJsUnicodeScriptsMap() {
+  if (!JsUnicodeScriptsMap) {
+    JsUnicodeScriptsMap = new Map();
+    for (const name of JsUnicodeScriptsData.split(/\s/)) {
+      JsUnicodeScriptsMap.set(slug(name), name);
+    }
+  }
+  return JsUnicodeScriptsMap;
+}
+
+// Returns the name most similar to the slugged name along with its edit distance, or `null` if none
+// are close enough to be a likely typo. Compares with Unicode property and script names, or with
+// the provided map of slugged names to names
+function getNearestUnicodePropertyName(slugged, namesMap) {
+  const maxDistance = Math.min(3, Math.ceil(slugged.length / 3));
+  let nearest = null;
+  for (const map of namesMap ? [namesMap] : [JsUnicodePropertiesMap, getJsUnicodeScriptsMap()]) {
+    for (const [key, name] of map) {
+      const distance = getEditDistance(slugged, key);
+      if (distance <= maxDistance && distance < (nearest?.distance ?? Infinity)) {
+        nearest = {name, distance};
+      }
+    }
+  }
+  return nearest;
+}
+
 // The following set includes:
 // - All ES2024 general categories and their aliases (all are supported by Oniguruma). See
 //   <github.com/mathiasbynens/unicode-match-property-value-ecmascript/blob/main/data/mappings.js>
 // - All ES2024 binary properties and their aliases (all are supported by Oniguruma). See
 //   <tc39.es/ecma262/multipage/text-processing.html#table-binary-unicode-properties>
 // Unicode properties must be mapped to property names supported by JS, and must also apply JS's
-// stricter rules for casing, whitespace, and underscores in Unicode property names. In order to
-// remain lightweight, this library assumes properties not in this list are Unicode script names
-// (which require a `Script=` or `sc=` prefix in JS). Unlike JS, Oniguruma doesn't support script
-// extensions, and it supports some properties that aren't supported in JS (including blocks with
-// an `In_` prefix). See also:
+// stricter rules for casing, whitespace, and underscores in Unicode property names. Properties not
+// in this list must be Unicode script names (see `JsUnicodeScriptsData`; they require a `Script=`
+// or `sc=` prefix in JS). Unlike JS, Oniguruma doesn't support script extensions, and it supports
+// some properties that aren't supported in JS (including blocks with an `In_` prefix). See also:
 // - Properties supported in Oniguruma: <github.com/kkos/oniguruma/blob/master/doc/UNICODE_PROPERTIES>
 // - Properties supported in JS by spec version: <github.com/eslint-community/regexpp/blob/main/src/unicode/properties.ts>
 const JsUnicodeProperties = new Set(
@@ -159,6 +215,184 @@ for (const p of JsUnicodePropertiesOfStrings) {
   JsUnicodePropertiesOfStringsMap.set(slug(p), p);
 }
 
+// Unicode script names and their aliases, all supported by Oniguruma (without a prefix) and JS
+// (with prefix `Script=` or `sc=`). Kept as a string and only split into a lookup map on first use,
+// since few patterns use scripts. See <unicode.org/Public/UCD/latest/ucd/PropertyValueAliases.txt>
+const JsUnicodeScriptsData =
+`Adlm Adlam
+Aghb Caucasian_Albanian
+Ahom Ahom
+Arab Arabic
+Armi Imperial_Aramaic
+Armn Armenian
+Avst Avestan
+Bali Balinese
+Bamu Bamum
+Bass Bassa_Vah
+Batk Batak
+Beng Bengali
+Bhks Bhaiksuki
+Bopo Bopomofo
+Brah Brahmi
+Brai Braille
+Bugi Buginese
+Buhd Buhid
+Cakm Chakma
+Cans Canadian_Aboriginal
+Cari Carian
+Cham Cham
+Cher Cherokee
+Chrs Chorasmian
+Copt Coptic Qaac
+Cpmn Cypro_Minoan
+Cprt Cypriot
+Cyrl Cyrillic
+Deva Devanagari
+Diak Dives_Akuru
+Dogr Dogra
+Dsrt Deseret
+Dupl Duployan
+Egyp Egyptian_Hieroglyphs
+Elba Elbasan
+Elym Elymaic
+Ethi Ethiopic
+Gara Garay
+Geor Georgian
+Glag Glagolitic
+Gong Gunjala_Gondi
+Gonm Masaram_Gondi
+Goth Gothic
+Gran Grantha
+Grek Greek
+Gujr Gujarati
+Gukh Gurung_Khema
+Guru Gurmukhi
+Hang Hangul
+Hani Han
+Hano Hanunoo
+Hatr Hatran
+Hebr Hebrew
+Hira Hiragana
+Hluw Anatolian_Hieroglyphs
+Hmng Pahawh_Hmong
+Hmnp Nyiakeng_Puachue_Hmong
+Hung Old_Hungarian
+Ital Old_Italic
+Java Javanese
+Kali Kayah_Li
+Kana Katakana
+Kawi Kawi
+Khar Kharoshthi
+Khmr Khmer
+Khoj Khojki
+Kits Khitan_Small_Script
+Knda Kannada
+Krai Kirat_Rai
+Kthi Kaithi
+Lana Tai_Tham
+Laoo Lao
+Latn Latin
+Lepc Lepcha
+Limb Limbu
+Lina Linear_A
+Linb Linear_B
+Lisu Lisu
+Lyci Lycian
+Lydi Lydian
+Mahj Mahajani
+Maka Makasar
+Mand Mandaic
+Mani Manichaean
+Marc Marchen
+Medf Medefaidrin
+Mend Mende_Kikakui
+Merc Meroitic_Cursive
+Mero Meroitic_Hieroglyphs
+Mlym Malayalam
+Modi Modi
+Mong Mongolian
+Mroo Mro
+Mtei Meetei_Mayek
+Mult Multani
+Mymr Myanmar
+Nagm Nag_Mundari
+Nand Nandinagari
+Narb Old_North_Arabian
+Nbat Nabataean
+Newa Newa
+Nkoo Nko
+Nshu Nushu
+Ogam Ogham
+Olck Ol_Chiki
+Onao Ol_Onal
+Orkh Old_Turkic
+Orya Oriya
+Osge Osage
+Osma Osmanya
+Ougr Old_Uyghur
+Palm Palmyrene
+Pauc Pau_Cin_Hau
+Perm Old_Permic
+Phag Phags_Pa
+Phli Inscriptional_Pahlavi
+Phlp Psalter_Pahlavi
+Phnx Phoenician
+Plrd Miao
+Prti Inscriptional_Parthian
+Rjng Rejang
+Rohg Hanifi_Rohingya
+Runr Runic
+Samr Samaritan
+Sarb Old_South_Arabian
+Saur Saurashtra
+Sgnw SignWriting
+Shaw Shavian
+Shrd Sharada
+Sidd Siddham
+Sind Khudawadi
+Sinh Sinhala
+Sogd Sogdian
+Sogo Old_Sogdian
+Sora Sora_Sompeng
+Soyo Soyombo
+Sund Sundanese
+Sunu Sunuwar
+Sylo Syloti_Nagri
+Syrc Syriac
+Tagb Tagbanwa
+Takr Takri
+Tale Tai_Le
+Talu New_Tai_Lue
+Taml Tamil
+Tang Tangut
+Tavt Tai_Viet
+Telu Telugu
+Tfng Tifinagh
+Tglg Tagalog
+Thaa Thaana
+Thai Thai
+Tibt Tibetan
+Tirh Tirhuta
+Tnsa Tangsa
+Todr Todhri
+Toto Toto
+Tutg Tulu_Tigalari
+Ugar Ugaritic
+Vaii Vai
+Vith Vithkuqi
+Wara Warang_Citi
+Wcho Wancho
+Xpeo Old_Persian
+Xsux Cuneiform
+Yezi Yezidi
+Yiii Yi
+Zanb Zanabazar_Square
+Zinh Inherited Qaai
+Zyyy Common
+Zzzz Unknown`;
+
+let JsUnicodeScriptsMap = null;
+
 const LowerToAlternativeLowerCaseMap = new Map([
   ['s', cp(0x17F)], // s, ſ
   [cp(0x17F), 's'], // ſ, s
@@ -185,6 +419,34 @@ const LowerToTitleCaseMap = new Map([
   titleEntry(0x1FFC),
 ]);
 
+// Unicode full case folds that map a char to multiple chars (status `F` in
+// <unicode.org/Public/UNIDATA/CaseFolding.txt>), which Oniguruma applies with flag i but JS
+// doesn't. Each entry is the char's code point followed by its fold's code points, in hex
+const MultiCharCaseFolds = new Map();
+// Inverse of `MultiCharCaseFolds`; maps a multichar fold to all chars that fold to it
+const CharsByMultiCharCaseFold = new Map();
+for (const entry of `
+DF 73 73,130 69 307,149 2BC 6E,1F0 6A 30C,390 3B9 308 301,3B0 3C5 308 301,587 565 582,1E96 68 331,
+1E97 74 308,1E98 77 30A,1E99 79 30A,1E9A 61 2BE,1E9E 73 73,1F50 3C5 313,1F52 3C5 313 300,
+1F54 3C5 313 301,1F56 3C5 313 342,1F80 1F00 3B9,1F81 1F01 3B9,1F82 1F02 3B9,1F83 1F03 3B9,
+1F84 1F04 3B9,1F85 1F05 3B9,1F86 1F06 3B9,1F87 1F07 3B9,1F88 1F00 3B9,1F89 1F01 3B9,1F8A 1F02 3B9,
+1F8B 1F03 3B9,1F8C 1F04 3B9,1F8D 1F05 3B9,1F8E 1F06 3B9,1F8F 1F07 3B9,1F90 1F20 3B9,1F91 1F21 3B9,
+1F92 1F22 3B9,1F93 1F23 3B9,1F94 1F24 3B9,1F95 1F25 3B9,1F96 1F26 3B9,1F97 1F27 3B9,1F98 1F20 3B9,
+1F99 1F21 3B9,1F9A 1F22 3B9,1F9B 1F23 3B9,1F9C 1F24 3B9,1F9D 1F25 3B9,1F9E 1F26 3B9,1F9F 1F27 3B9,
+1FA0 1F60 3B9,1FA1 1F61 3B9,1FA2 1F62 3B9,1FA3 1F63 3B9,1FA4 1F64 3B9,1FA5 1F65 3B9,1FA6 1F66 3B9,
+1FA7 1F67 3B9,1FA8 1F60 3B9,1FA9 1F61 3B9,1FAA 1F62 3B9,1FAB 1F63 3B9,1FAC 1F64 3B9,1FAD 1F65 3B9,
+1FAE 1F66 3B9,1FAF 1F67 3B9,1FB2 1F70 3B9,1FB3 3B1 3B9,1FB4 3AC 3B9,1FB6 3B1 342,1FB7 3B1 342 3B9,
+1FBC 3B1 3B9,1FC2 1F74 3B9,1FC3 3B7 3B9,1FC4 3AE 3B9,1FC6 3B7 342,1FC7 3B7 342 3B9,1FCC 3B7 3B9,
+1FD2 3B9 308 300,1FD3 3B9 308 301,1FD6 3B9 342,1FD7 3B9 308 342,1FE2 3C5 308 300,1FE3 3C5 308 301,
+1FE4 3C1 313,1FE6 3C5 342,1FE7 3C5 308 342,1FF2 1F7C 3B9,1FF3 3C9 3B9,1FF4 3CE 3B9,1FF6 3C9 342,
+1FF7 3C9 342 3B9,1FFC 3C9 3B9,FB00 66 66,FB01 66 69,FB02 66 6C,FB03 66 66 69,FB04 66 66 6C,
+FB05 73 74,FB06 73 74,FB13 574 576,FB14 574 565,FB15 574 56B,FB16 57E 576,FB17 574 56D
+`.trim().split(/,\s*/)) {
+  const [char, ...fold] = entry.split(' ').map(hex => cp(parseInt(hex, 16)));
+  MultiCharCaseFolds.set(char, fold.join(''));
+  getOrCreate(CharsByMultiCharCaseFold, fold.join(''), []).push(char);
+}
+
 // Unlike Oniguruma's Unicode properties via `\p` and `\P`, these names are case sensitive and
 // don't allow inserting whitespace and underscores. Definitions at
 // <github.com/kkos/oniguruma/blob/master/doc/RE> (see: POSIX bracket: Unicode Case)
@@ -208,6 +470,25 @@ const PosixClassesMap = new Map([
   ['xdigit', r`\p{AHex}`],
 ]);
 
+// ASCII versions of `PosixClassesMap`, used with flag P (POSIX is ASCII). The same assumptions
+// about single, negateable nodes apply
+const AsciiPosixClassesMap = new Map([
+  ['alnum', r`[0-9A-Za-z]`],
+  ['alpha', r`[A-Za-z]`],
+  ['ascii', r`\p{ASCII}`],
+  ['blank', r`[\t ]`],
+  ['cntrl', r`[\0-\x1F\x7F]`],
+  ['digit', r`[0-9]`],
+  ['graph', r`[!-~]`],
+  ['lower', r`[a-z]`],
+  ['print', r`[ -~]`],
+  ['punct', r`[!-/:-@\[-\x60\{-~]`],
+  ['space', r`[\t-\r ]`],
+  ['upper', r`[A-Z]`],
+  ['word', r`[0-9A-Z_a-z]`],
+  ['xdigit', r`[0-9A-Fa-f]`],
+]);
+
 // Apart from the property names provided by Unicode, Oniguruma explicitly adds several names (see
 // <github.com/kkos/oniguruma/blob/master/doc/RE>) that can be used within `\p{}` and `\P{}` (those
 // below). These should be listed here in lowercase, though they aren't case sensitive when used
@@ -230,6 +511,23 @@ const PosixProperties = new Set([
   // 'upper', // (JS: Upper)
 ]);
 
+// Levenshtein distance between two strings
+function getEditDistance(a, b) {
+  let prevRow = Array.from({length: b.length + 1}, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    for (let j = 1; j <= b.length; j++) {
+      row[j] = Math.min(
+        prevRow[j] + 1,
+        row[j - 1] + 1,
+        prevRow[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    prevRow = row;
+  }
+  return prevRow[b.length];
+}
+
 function range(start, end) {
   // const range = Array.from(Array(end + 1 - start), (_, i) => i + start);
   // const range = Array(end + 1 - start).fill(start).map((x, i) => x + i);
@@ -254,6 +552,16 @@ function titleRange(start, end) {
   return range(start, end).map(codePoint => titleEntry(codePoint));
 }
 
+// Case folds used instead of the defaults for Turkish and Azeri (status `T` in
+// <unicode.org/Public/UNIDATA/CaseFolding.txt>), when Oniguruma is compiled with
+// `ONIGENC_CASE_FOLD_TURKISH_AZERI`
+const TurkicCaseFolds = new Map([
+  ['I', cp(0x131)], // I, ı
+  ['i', 'i'],
+  [cp(0x130), 'i'], // İ, i
+  [cp(0x131), cp(0x131)], // ı, ı
+]);
+
 const UnicodePropertiesWithSpecificCase = new Set([
   'Lower', 'Lowercase',
   'Upper', 'Uppercase',
@@ -267,12 +575,19 @@ const UnicodePropertiesWithSpecificCase = new Set([
 ]);
 
 export {
+  AsciiPosixClassesMap,
+  CharsByMultiCharCaseFold,
+  getCaseFold,
   getIgnoreCaseMatchChars,
+  getJsUnicodeScriptName,
+  getNearestUnicodePropertyName,
   JsUnicodeProperties,
   JsUnicodePropertiesMap,
   JsUnicodePropertiesOfStringsMap,
+  MultiCharCaseFolds,
   PosixClassesMap,
   PosixProperties,
   slug,
+  TurkicCaseFolds,
   UnicodePropertiesWithSpecificCase,
 };
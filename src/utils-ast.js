@@ -9,7 +9,7 @@ function hasOnlyChild({alternatives}, kidFn) {
 }
 
 function isAlwaysZeroLength({type}) {
-  return type === AstTypes.Assertion || type === AstTypes.Directive;
+  return type === AstTypes.Assertion || type === AstTypes.Callout || type === AstTypes.Directive;
 }
 
 function isAlwaysNonZeroLength(node) {
@@ -25,6 +25,34 @@ function isAlwaysNonZeroLength(node) {
   );
 }
 
+// Unlike `isAlwaysZeroLength`, checks the contents of groups
+function isAlwaysEmptyMatch(node) {
+  if (isAlwaysZeroLength(node)) {
+    return true;
+  }
+  if (node.type === AstTypes.Alternative) {
+    return node.elements.every(isAlwaysEmptyMatch);
+  }
+  return (
+    (isConsumptiveGroup(node) && node.alternatives.every(isAlwaysEmptyMatch)) ||
+    (node.type === AstTypes.Quantifier && node.max === 0)
+  );
+}
+
+// Unlike `isAlwaysNonZeroLength`, checks the contents of groups and quantified nodes
+function isAlwaysNonEmptyMatch(node) {
+  if (isAlwaysNonZeroLength(node)) {
+    return true;
+  }
+  if (node.type === AstTypes.Alternative) {
+    return node.elements.some(isAlwaysNonEmptyMatch);
+  }
+  if (node.type === AstTypes.Quantifier) {
+    return !!node.min && isAlwaysNonEmptyMatch(node.element);
+  }
+  return isConsumptiveGroup(node) && node.alternatives.every(isAlwaysNonEmptyMatch);
+}
+
 // Consumptive groups add to the match.
 // - Includes: capturing, named capturing, noncapturing, atomic, and flag groups
 // - Excludes: lookarounds
@@ -41,6 +69,8 @@ function isLookaround({type, kind}) {
 
 export {
   hasOnlyChild,
+  isAlwaysEmptyMatch,
+  isAlwaysNonEmptyMatch,
   isAlwaysNonZeroLength,
   isAlwaysZeroLength,
   isConsumptiveGroup,
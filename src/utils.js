@@ -25,6 +25,10 @@ function getNewCurrentFlags(current, {enable, disable}) {
   return {
     dotAll: !disable?.dotAll && !!(enable?.dotAll || current.dotAll),
     ignoreCase: !disable?.ignoreCase && !!(enable?.ignoreCase || current.ignoreCase),
+    digitIsAscii: !disable?.digitIsAscii && !!(enable?.digitIsAscii || current.digitIsAscii),
+    posixIsAscii: !disable?.posixIsAscii && !!(enable?.posixIsAscii || current.posixIsAscii),
+    spaceIsAscii: !disable?.spaceIsAscii && !!(enable?.spaceIsAscii || current.spaceIsAscii),
+    wordIsAscii: !disable?.wordIsAscii && !!(enable?.wordIsAscii || current.wordIsAscii),
   };
 }
 